@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// ==================================================
+// BROWSER EXTENSION BUILD
+// Copies extension/ and index.js into a folder Chrome can load unpacked
+// ==================================================
+
+// Usage:
+//   node bin/build-extension.js [output directory, default dist/extension]
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE = path.join(ROOT, 'extension');
+// Only used to run the scripts outside the browser
+const DEV_ONLY_FILES = ['chrome-mock.js'];
+
+function build(outDir) {
+    const target = path.resolve(outDir);
+
+    fs.rmSync(target, { recursive: true, force: true });
+    fs.mkdirSync(path.join(target, 'lib'), { recursive: true });
+
+    const files = fs.readdirSync(SOURCE).filter(name => !DEV_ONLY_FILES.includes(name));
+    files.forEach(name => fs.copyFileSync(path.join(SOURCE, name), path.join(target, name)));
+
+    // The manifest loads lib/index.js before content.js
+    fs.copyFileSync(path.join(ROOT, 'index.js'), path.join(target, 'lib', 'index.js'));
+
+    return { target, files: files.length + 1 };
+}
+
+function main(argv) {
+    if (argv.length > 1 || (argv[0] && argv[0].startsWith('-'))) {
+        console.error('Usage: build-extension [output directory]');
+        return 2;
+    }
+
+    const { target, files } = build(argv[0] || path.join(ROOT, 'dist', 'extension'));
+    console.log(`Built ${files} files into ${path.relative(process.cwd(), target) || '.'}`);
+    console.log('Load it from chrome://extensions with "Load unpacked"');
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { build };
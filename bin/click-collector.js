@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// ==================================================
+// OUTBOUND CLICK COLLECTOR
+// Tiny local endpoint for OutboundClickTracker during development and tests
+// ==================================================
+
+// Usage:
+//   node bin/click-collector.js [--port 8787] [--out clicks.ndjson]
+//
+//   POST /collect   body { events: [...] } as sent by navigator.sendBeacon
+//   GET  /events    every event received so far, as JSON
+//   DELETE /events  forget them
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function createCollectorServer({ out = null, onEvents = null } = {}) {
+    const events = [];
+
+    function send(response, status, body) {
+        response.writeHead(status, {
+            'Content-Type': 'application/json',
+            // Pages under development usually run on another port
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        });
+        response.end(body === undefined ? '' : JSON.stringify(body));
+    }
+
+    function collect(request, response) {
+        let body = '';
+        let size = 0;
+
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            size += Buffer.byteLength(chunk);
+            if (size > MAX_BODY_BYTES) {
+                send(response, 413, { error: 'Batch too large' });
+                request.destroy();
+                return;
+            }
+            body += chunk;
+        });
+
+        request.on('end', () => {
+            let batch;
+            try {
+                batch = JSON.parse(body);
+            } catch (e) {
+                send(response, 400, { error: 'Body must be JSON' });
+                return;
+            }
+
+            if (!batch || !Array.isArray(batch.events)) {
+                send(response, 400, { error: 'Expected { events: [...] }' });
+                return;
+            }
+
+            const receivedAt = new Date().toISOString();
+            const received = batch.events.map(event => ({ ...event, receivedAt }));
+            events.push(...received);
+
+            if (out) {
+                fs.appendFileSync(out, received.map(event => JSON.stringify(event)).join('\n') + '\n');
+            }
+            if (onEvents) {
+                onEvents(received);
+            }
+
+            send(response, 204);
+        });
+    }
+
+    const server = http.createServer((request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'OPTIONS') {
+            send(response, 204);
+        } else if (request.method === 'POST' && pathname === '/collect') {
+            collect(request, response);
+        } else if (request.method === 'GET' && pathname === '/events') {
+            send(response, 200, events);
+        } else if (request.method === 'DELETE' && pathname === '/events') {
+            events.length = 0;
+            send(response, 204);
+        } else {
+            send(response, 404, { error: 'Not found' });
+        }
+    });
+
+    server.events = events;
+    return server;
+}
+
+function parseArgs(argv) {
+    const args = { port: 8787, out: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') {
+            args.port = parseInt(argv[++i], 10);
+        } else if (argv[i] === '--out') {
+            args.out = argv[++i];
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    if (!Number.isInteger(args.port)) {
+        throw new Error('--port needs a number');
+    }
+
+    return args;
+}
+
+if (require.main === module) {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        console.error('Usage: click-collector [--port 8787] [--out clicks.ndjson]');
+        process.exit(2);
+    }
+
+    const server = createCollectorServer({
+        out: args.out,
+        onEvents: received => received.forEach(event => {
+            console.log(`${event.timestamp} ${event.modifier || 'click'} ${event.url} (from ${event.page})`);
+        })
+    });
+
+    server.listen(args.port, () => {
+        console.log(`Collecting outbound clicks on http://localhost:${args.port}/collect`);
+    });
+}
+
+module.exports = { createCollectorServer };
@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+// ==================================================
+// LINK MODIFIER CLI
+// Bakes the LinkModifier target/rel changes into static HTML at build time
+// ==================================================
+
+// Usage:
+//   link-modifier rewrite ./dist [--config link-modifier.config.json] [--dry-run] [--check]
+//
+//   The command comes from package.json "bin" (npm link, or npx link-modifier in a project
+//   that depends on this one). From a checkout, node bin/link-modifier.js works the same.
+//
+//   --dry-run   print a unified diff per file and summary counts, write nothing
+//   --check     write nothing, exit with code 1 if any file would change (for CI)
+//   --config    JSON or JS file with the same options the LinkModifier constructor takes.
+//               Defaults to link-modifier.config.js or link-modifier.config.json in the
+//               current directory. In JSON, excludePatterns are regular expression strings.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { HtmlLinkRewriter } = require('../index.js');
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+const SKIP_DIRECTORIES = ['node_modules', '.git'];
+const DEFAULT_CONFIG_FILES = ['link-modifier.config.js', 'link-modifier.config.json'];
+
+const USAGE = `Usage: link-modifier rewrite <directory> [--config <file>] [--dry-run] [--check]`;
+
+function parseArgs(argv) {
+    const args = { command: null, directory: null, config: null, dryRun: false, check: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else if (arg === '--check') {
+            args.check = true;
+        } else if (arg === '--config') {
+            args.config = argv[++i];
+            if (!args.config) {
+                throw new Error('--config needs a file name');
+            }
+        } else if (arg.startsWith('--config=')) {
+            args.config = arg.slice('--config='.length);
+        } else if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else if (!args.command) {
+            args.command = arg;
+        } else if (!args.directory) {
+            args.directory = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    return args;
+}
+
+function loadConfig(configPath) {
+    let file = configPath ? path.resolve(configPath) : null;
+
+    if (!file) {
+        file = DEFAULT_CONFIG_FILES
+            .map(name => path.resolve(name))
+            .find(candidate => fs.existsSync(candidate));
+
+        if (!file) {
+            return {};
+        }
+    }
+
+    const config = path.extname(file) === '.json'
+        ? JSON.parse(fs.readFileSync(file, 'utf8'))
+        : require(file);
+
+    // JSON has no regex literals
+    if (Array.isArray(config.excludePatterns)) {
+        config.excludePatterns = config.excludePatterns.map(pattern =>
+            typeof pattern === 'string' ? new RegExp(pattern) : pattern
+        );
+    }
+
+    return config;
+}
+
+function findHtmlFiles(directory) {
+    const files = [];
+
+    fs.readdirSync(directory, { withFileTypes: true }).forEach(entry => {
+        const fullPath = path.join(directory, entry.name);
+
+        if (entry.isDirectory()) {
+            if (!SKIP_DIRECTORIES.includes(entry.name)) {
+                files.push(...findHtmlFiles(fullPath));
+            }
+        } else if (entry.isFile() && HTML_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
+        }
+    });
+
+    return files.sort();
+}
+
+// Myers diff over lines, returns [{ type: ' ' | '-' | '+', line }].
+// The linear-space variant: find the middle snake of the shortest edit path, then
+// diff the parts before and after it, so memory stays O(N + M) on large files
+function diffLines(a, b) {
+    const ops = [];
+    diffRange(a, 0, a.length, b, 0, b.length, ops);
+    return ops;
+}
+
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, ops) {
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+        ops.push({ type: ' ', line: a[aStart] });
+        aStart++;
+        bStart++;
+    }
+
+    let suffix = 0;
+    while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+        aEnd--;
+        bEnd--;
+        suffix++;
+    }
+
+    if (aStart === aEnd) {
+        for (let y = bStart; y < bEnd; y++) {
+            ops.push({ type: '+', line: b[y] });
+        }
+    } else if (bStart === bEnd) {
+        for (let x = aStart; x < aEnd; x++) {
+            ops.push({ type: '-', line: a[x] });
+        }
+    } else {
+        const snake = middleSnake(a, aStart, aEnd, b, bStart, bEnd);
+        diffRange(a, aStart, snake.x, b, bStart, snake.y, ops);
+        for (let x = snake.x; x < snake.u; x++) {
+            ops.push({ type: ' ', line: a[x] });
+        }
+        diffRange(a, snake.u, aEnd, b, snake.v, bEnd, ops);
+    }
+
+    for (let i = 0; i < suffix; i++) {
+        ops.push({ type: ' ', line: a[aEnd + i] });
+    }
+}
+
+// Runs the search from both ends until the paths overlap. Returns the snake (x, y) -> (u, v)
+// where they met, in a and b indexes. The backward search counts lines from the end of each range
+function middleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const delta = n - m;
+    const odd = delta % 2 !== 0;
+    const max = Math.ceil((n + m) / 2);
+    const offset = max + 1;
+    // Furthest x reached on each diagonal k = x - y
+    const forward = new Int32Array(2 * offset + 1);
+    const backward = new Int32Array(2 * offset + 1);
+    const snake = (x, y, u, v) => ({ x: aStart + x, y: bStart + y, u: aStart + u, v: bStart + v });
+
+    for (let d = 0; d <= max; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+                ? forward[offset + k + 1]
+                : forward[offset + k - 1] + 1;
+            let y = x - k;
+            const startX = x;
+            const startY = y;
+
+            while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                x++;
+                y++;
+            }
+            forward[offset + k] = x;
+
+            // Diagonal k seen from the end is delta - k, the backward search has done d - 1 steps
+            const back = delta - k;
+            if (odd && back >= -(d - 1) && back <= d - 1 && x + backward[offset + back] >= n) {
+                return snake(startX, startY, x, y);
+            }
+        }
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+                ? backward[offset + k + 1]
+                : backward[offset + k - 1] + 1;
+            let y = x - k;
+            const startX = x;
+            const startY = y;
+
+            while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+                x++;
+                y++;
+            }
+            backward[offset + k] = x;
+
+            const ahead = delta - k;
+            if (!odd && ahead >= -d && ahead <= d && x + forward[offset + ahead] >= n) {
+                return snake(n - x, m - y, n - startX, m - startY);
+            }
+        }
+    }
+
+    throw new Error('diffLines: no middle snake found');
+}
+
+function unifiedDiff(oldText, newText, fileName, context = 3) {
+    const ops = diffLines(oldText.split('\n'), newText.split('\n'));
+    let oldLine = 1;
+    let newLine = 1;
+
+    ops.forEach(op => {
+        op.oldLine = oldLine;
+        op.newLine = newLine;
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+    });
+
+    // Group changes that are close enough to share context lines
+    const hunks = [];
+    let current = null;
+
+    ops.forEach((op, index) => {
+        if (op.type === ' ') {
+            return;
+        }
+
+        const start = Math.max(0, index - context);
+        const end = Math.min(ops.length, index + context + 1);
+
+        if (current && start <= current.end) {
+            current.end = end;
+        } else {
+            current = { start, end };
+            hunks.push(current);
+        }
+    });
+
+    const lines = [`--- a/${fileName}`, `+++ b/${fileName}`];
+
+    hunks.forEach(({ start, end }) => {
+        const hunk = ops.slice(start, end);
+        const oldCount = hunk.filter(op => op.type !== '+').length;
+        const newCount = hunk.filter(op => op.type !== '-').length;
+        const oldStart = oldCount ? hunk[0].oldLine : hunk[0].oldLine - 1;
+        const newStart = newCount ? hunk[0].newLine : hunk[0].newLine - 1;
+
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        hunk.forEach(op => lines.push(`${op.type}${op.line}`));
+    });
+
+    return lines.join('\n');
+}
+
+function rewrite(directory, config, { dryRun, check }) {
+    const root = path.resolve(directory);
+    const files = findHtmlFiles(root);
+    const totals = { files: files.length, changedFiles: [], links: 0, modifiedLinks: 0 };
+
+    files.forEach(file => {
+        const original = fs.readFileSync(file, 'utf8');
+        const rewriter = new HtmlLinkRewriter(config);
+        const output = rewriter.write(original) + rewriter.end();
+        const relativePath = path.relative(root, file).split(path.sep).join('/');
+
+        totals.links += rewriter.linkCount;
+
+        if (output === original) {
+            return;
+        }
+
+        totals.changedFiles.push(relativePath);
+        totals.modifiedLinks += rewriter.modifiedCount;
+
+        if (dryRun) {
+            console.log(unifiedDiff(original, output, relativePath));
+            console.log('');
+        } else if (!check) {
+            fs.writeFileSync(file, output);
+        }
+    });
+
+    return totals;
+}
+
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (e) {
+        console.error(e.message);
+        console.error(USAGE);
+        return 2;
+    }
+
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (args.command !== 'rewrite' || !args.directory) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    if (!fs.existsSync(args.directory) || !fs.statSync(args.directory).isDirectory()) {
+        console.error(`Not a directory: ${args.directory}`);
+        return 2;
+    }
+
+    let config;
+    try {
+        config = loadConfig(args.config);
+    } catch (e) {
+        console.error(`Could not load config: ${e.message}`);
+        return 2;
+    }
+
+    const totals = rewrite(args.directory, config, args);
+    const changed = totals.changedFiles.length;
+    const verb = args.dryRun || args.check ? 'would change' : 'changed';
+
+    console.log(`${totals.files} files scanned, ${changed} ${verb}, ${totals.modifiedLinks} of ${totals.links} links rewritten`);
+
+    if (args.check && changed > 0) {
+        console.error(`${changed} files are not compliant:`);
+        totals.changedFiles.forEach(file => console.error(`  ${file}`));
+        return 1;
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, unifiedDiff };
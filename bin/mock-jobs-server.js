@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+// ==================================================
+// MOCK JOBS API
+// Serves the job board and a REST/JSON API over generated postings and the ones
+// employers post, answered with the same code the page uses (job-board.js)
+// ==================================================
+
+// Usage:
+//   node bin/mock-jobs-server.js [--port 8080] [--jobs 5000] [--seed 1] [--feed 30] [--latency 0] [--fail-rate 0]
+//                                [--store dist/postings.json]
+//
+//   --feed       seconds between new postings, 0 turns the live feed off
+//   --latency    milliseconds added to every API response
+//   --fail-rate  share of API requests answered 503, to try the page's retry and error states
+//   --store      JSON file the employer postings are kept in between runs, "" keeps them in memory only
+//
+// GET  /api/jobs?q=react&city=pune&experience=1-3&salary=10-20&category=tech&remote=1&sort=newest&page=2&pageSize=6
+// GET  /api/jobs/:id                 { job, similar }
+// GET  /api/jobs/updates?since=123   { jobs, cursor }, postings added after the cursor
+// GET  /api/stats                    { jobs, companies, jobSeekers }
+// GET  /api/postings                 { jobs }, the employer postings, open and closed
+// POST /api/jobs                     { job }, a new employer posting, 422 { error, errors } when it doesn't validate
+// PUT  /api/jobs/:id                 { job }, an edited employer posting
+// POST /api/jobs/:id/close           { job }
+// POST /api/jobs/:id/repost          { job }
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const JobBoard = require('../job-board.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8'
+};
+
+const ROLES = {
+    tech: [
+        ['Software Engineer', ['Java', 'Spring Boot', 'Microservices', 'SQL', 'Git']],
+        ['Frontend Developer', ['React', 'JavaScript', 'TypeScript', 'CSS', 'Redux']],
+        ['Backend Developer', ['Node.js', 'Go', 'PostgreSQL', 'Redis', 'REST APIs']],
+        ['Full Stack Developer', ['React', 'Node.js', 'MongoDB', 'TypeScript', 'AWS']],
+        ['Data Scientist', ['Python', 'Machine Learning', 'SQL', 'Pandas', 'Statistics']],
+        ['Data Engineer', ['Python', 'Spark', 'Airflow', 'SQL', 'Kafka']],
+        ['DevOps Engineer', ['AWS', 'Docker', 'Kubernetes', 'Terraform', 'CI/CD']],
+        ['Android Developer', ['Kotlin', 'Android', 'Jetpack Compose', 'Firebase']],
+        ['iOS Developer', ['Swift', 'iOS', 'SwiftUI', 'Xcode']],
+        ['QA Engineer', ['Selenium', 'Cypress', 'Test Automation', 'Java']],
+        ['Machine Learning Engineer', ['Python', 'PyTorch', 'TensorFlow', 'MLOps']]
+    ],
+    finance: [
+        ['Financial Analyst', ['Excel', 'Financial Modeling', 'SQL', 'Power BI']],
+        ['Chartered Accountant', ['Taxation', 'Audit', 'GST', 'Tally']],
+        ['Investment Banker', ['Valuation', 'M&A', 'Financial Modeling', 'Excel']],
+        ['Risk Analyst', ['Credit Risk', 'Python', 'SAS', 'Statistics']],
+        ['Accounts Executive', ['Tally', 'Accounts Payable', 'GST', 'Excel']]
+    ],
+    marketing: [
+        ['Digital Marketing Manager', ['SEO', 'Google Ads', 'Social Media', 'Analytics']],
+        ['SEO Specialist', ['SEO', 'Google Search Console', 'Content Strategy']],
+        ['Content Writer', ['Copywriting', 'SEO', 'Content Strategy', 'WordPress']],
+        ['Brand Manager', ['Brand Strategy', 'Market Research', 'Campaigns']],
+        ['Growth Marketer', ['Performance Marketing', 'Analytics', 'A/B Testing', 'Google Ads']]
+    ],
+    design: [
+        ['UX Designer', ['Figma', 'User Research', 'Prototyping', 'Wireframing']],
+        ['UI Designer', ['Figma', 'Sketch', 'Design Systems', 'Typography']],
+        ['Product Designer', ['Figma', 'Prototyping', 'User Research', 'Design Systems']],
+        ['Graphic Designer', ['Photoshop', 'Illustrator', 'InDesign', 'Branding']]
+    ],
+    sales: [
+        ['Sales Manager', ['B2B Sales', 'CRM', 'Negotiation', 'Team Management']],
+        ['Business Development Executive', ['Lead Generation', 'CRM', 'Cold Calling']],
+        ['Account Executive', ['SaaS Sales', 'Salesforce', 'Negotiation']],
+        ['Key Account Manager', ['Account Management', 'CRM', 'Negotiation']]
+    ]
+};
+
+// [title prefix, experience years, salary LPA at the bottom of the band]
+const LEVELS = [
+    ['Junior ', [0, 2], 4],
+    ['', [2, 5], 10],
+    ['Senior ', [5, 8], 20],
+    ['Lead ', [8, 12], 32],
+    ['Principal ', [10, 15], 45]
+];
+
+const CITIES = ['Bangalore', 'Mumbai', 'Delhi', 'Hyderabad', 'Pune', 'Chennai', 'Kolkata', 'Ahmedabad'];
+const COMPANY_NAMES = ['TCS', 'Infosys', 'Wipro', 'Flipkart', 'Swiggy', 'Zomato', 'Razorpay', 'Paytm', 'HDFC Bank',
+    'ICICI Bank', 'Reliance', 'Freshworks', 'Zoho', 'CRED', 'Meesho', 'PhonePe', 'Ola', 'Nykaa', 'Dream11', 'Byju\'s'];
+const COMPANY_PREFIXES = ['Nimbus', 'Vertex', 'Lotus', 'Indus', 'Saffron', 'Monsoon', 'Peacock', 'Banyan', 'Ganga',
+    'Kaveri', 'Deccan', 'Himalaya', 'Konark', 'Ashoka', 'Tarang', 'Akash', 'Prism', 'Orbit'];
+const COMPANY_SUFFIXES = ['Labs', 'Technologies', 'Systems', 'Finserv', 'Digital', 'Analytics', 'Retail', 'Health',
+    'Logistics', 'Media'];
+const DUTIES = [
+    'build products used by millions of customers across India',
+    'own features end to end with a small, fast-moving team',
+    'scale our platform through the next phase of growth',
+    'work closely with product and business teams on new launches',
+    'improve quality and reliability across the business'
+];
+
+// mulberry32, the same seed always gives the same postings
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function createJobGenerator(seed) {
+    const random = createRandom(seed);
+    const pick = list => list[Math.floor(random() * list.length)];
+    const companies = [
+        ...COMPANY_NAMES,
+        ...COMPANY_PREFIXES.flatMap(prefix => COMPANY_SUFFIXES.map(suffix => `${prefix} ${suffix}`))
+    ];
+
+    return function generateJob(id, postedAt) {
+        const category = pick(Object.keys(ROLES));
+        const [role, skillPool] = pick(ROLES[category]);
+        const [prefix, [minYears, maxYears], baseSalary] = pick(LEVELS);
+        const company = pick(companies);
+        const roll = random();
+        let type = roll < 0.7 ? 'Full-time' : roll < 0.85 ? 'Remote' : roll < 0.95 ? 'Contract' : 'Internship';
+        // Internships only at the junior level
+        if (type === 'Internship' && maxYears > 2) {
+            type = 'Full-time';
+        }
+        const skills = [...skillPool].sort(() => random() - 0.5).slice(0, 3);
+        const salaryMin = Math.round(baseSalary * (0.8 + random() * 0.4));
+
+        return {
+            id,
+            title: type === 'Internship' ? `${role} Intern` : `${prefix}${role}`,
+            company,
+            location: type === 'Remote' ? 'Remote' : pick(CITIES),
+            type,
+            experience: `${minYears}-${maxYears} years`,
+            salary: `₹${salaryMin}-${salaryMin + Math.round(salaryMin * (0.3 + random() * 0.3))} LPA`,
+            category,
+            skills,
+            description: `${company} is hiring a ${role} to ${pick(DUTIES)}. You will work with ${skills.slice(0, 2).join(' and ')}.`,
+            careersUrl: `https://careers.${company.toLowerCase().replace(/[^a-z0-9]+/g, '')}.example/jobs/${id}`,
+            postedAt: new Date(postedAt).toISOString()
+        };
+    };
+}
+
+// Postings from the last 45 days, oldest first, ids in posting order
+function generateJobs({ count = 5000, seed = 1, now = Date.now() } = {}) {
+    const random = createRandom(seed + 1);
+    const generateJob = createJobGenerator(seed);
+    const ages = Array.from({ length: count }, () => random() * 45 * 24 * 60 * 60 * 1000).sort((a, b) => b - a);
+
+    return ages.map((age, i) => generateJob(i + 1, now - age));
+}
+
+function readPostings(file) {
+    if (!file || !fs.existsSync(file)) {
+        return [];
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writePostings(file, postings) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(postings, null, 2));
+}
+
+// The generated postings, and the employer ones from the store, behind the same source the page can use
+function createDataset({ count = 5000, seed = 1, store = null } = {}) {
+    const source = new JobBoard.StaticJobSource(generateJobs({ count, seed }), {
+        // Candidates signed up on the board, seeded next to the postings
+        jobSeekers: Math.round(count * (4 + createRandom(seed + 2)() * 2)),
+        postings: readPostings(store),
+        onPostingsChange: store ? postings => writePostings(store, postings) : null
+    });
+
+    return { source, generateJob: createJobGenerator(seed + 3) };
+}
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new JobBoard.JobSourceError('The posting is too large', { status: 413 }));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (error) {
+                reject(new JobBoard.JobSourceError('The body is not valid JSON', { status: 400 }));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+// Body, or null for 304, with a strong ETag over the JSON
+function sendJson(request, response, status, data) {
+    const body = JSON.stringify(data);
+    const etag = `"${crypto.createHash('sha1').update(body).digest('hex').slice(0, 20)}"`;
+
+    response.setHeader('Content-Type', 'application/json; charset=utf-8');
+    response.setHeader('Cache-Control', 'no-cache');
+    response.setHeader('ETag', etag);
+
+    if (status === 200 && request.headers['if-none-match'] === etag) {
+        response.writeHead(304);
+        response.end();
+        return;
+    }
+
+    response.writeHead(status);
+    response.end(body);
+}
+
+// The route's answer from the source, its JobSourceErrors become 4xx responses
+async function routeApi(source, url, request) {
+    const match = /^\/api\/jobs\/(\d+)(?:\/(close|repost))?$/.exec(url.pathname);
+    const method = request.method;
+
+    if (url.pathname === '/api/jobs' && method === 'GET') {
+        return source.list(JobBoard.fromSearchParams(url.searchParams));
+    }
+    if (url.pathname === '/api/jobs' && method === 'POST') {
+        return source.create(await readJson(request));
+    }
+    if (url.pathname === '/api/jobs/updates' && method === 'GET') {
+        return source.updates(url.searchParams.has('since') ? Number(url.searchParams.get('since')) : null);
+    }
+    if (url.pathname === '/api/postings' && method === 'GET') {
+        return source.postings();
+    }
+    if (url.pathname === '/api/stats' && method === 'GET') {
+        return source.stats();
+    }
+    if (match && !match[2] && method === 'GET') {
+        return source.get(match[1]);
+    }
+    if (match && !match[2] && method === 'PUT') {
+        return source.update(match[1], await readJson(request));
+    }
+    if (match && match[2] && method === 'POST') {
+        return source[match[2]](match[1]);
+    }
+
+    throw new JobBoard.JobSourceError('Unknown endpoint', { status: 404 });
+}
+
+async function handleApi(dataset, url, request, response) {
+    try {
+        const data = await routeApi(dataset.source, url, request);
+        sendJson(request, response, request.method === 'POST' && url.pathname === '/api/jobs' ? 201 : 200, data);
+    } catch (error) {
+        if (!(error instanceof JobBoard.JobSourceError) || !error.status) {
+            console.error(error);
+            sendJson(request, response, 500, { error: 'Something went wrong' });
+            return;
+        }
+        sendJson(request, response, error.status, { error: error.message, ...(error.errors ? { errors: error.errors } : {}) });
+    }
+}
+
+function sendText(response, status, text) {
+    response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end(text);
+}
+
+// Files of the repository itself, nothing outside it and no dotfiles
+function serveStatic(url, response) {
+    let relative;
+    try {
+        relative = url.pathname === '/' ? 'index.html' : decodeURIComponent(url.pathname).replace(/^\/+/, '');
+    } catch (error) {
+        // Broken escapes like /%E0%A4%A
+        sendText(response, 400, 'Bad request');
+        return;
+    }
+
+    const file = path.resolve(ROOT, relative);
+    const type = STATIC_TYPES[path.extname(file)];
+
+    if (!file.startsWith(ROOT + path.sep) || relative.split('/').some(part => part.startsWith('.')) || !type ||
+        !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        sendText(response, 404, 'Not found');
+        return;
+    }
+
+    response.writeHead(200, { 'Content-Type': type });
+    fs.createReadStream(file).pipe(response);
+}
+
+function createServer(options = {}) {
+    const config = {
+        jobs: 5000,
+        seed: 1,
+        feed: 30,        // Seconds between new postings, 0 for none
+        latency: 0,
+        failRate: 0,
+        store: null,     // File for the employer postings
+        ...options
+    };
+
+    const dataset = createDataset({ count: config.jobs, seed: config.seed, store: config.store });
+
+    function handleRequest(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+
+        if (!url.pathname.startsWith('/api/')) {
+            serveStatic(url, response);
+            return;
+        }
+
+        // The page may be served from elsewhere during development
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Headers', 'If-None-Match, Content-Type');
+        response.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT');
+        response.setHeader('Access-Control-Expose-Headers', 'ETag, Retry-After');
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+        setTimeout(() => {
+            if (Math.random() < config.failRate) {
+                response.setHeader('Retry-After', '1');
+                sendJson(request, response, 503, { error: 'Simulated outage' });
+                return;
+            }
+            handleApi(dataset, url, request, response);
+        }, config.latency);
+    }
+
+    // One bad request must not take the server down
+    const server = http.createServer((request, response) => {
+        try {
+            handleRequest(request, response);
+        } catch (error) {
+            console.error(error);
+            if (response.headersSent) {
+                response.destroy();
+            } else {
+                sendText(response, 500, 'Something went wrong');
+            }
+        }
+    });
+
+    let feedTimer = null;
+    if (config.feed > 0) {
+        feedTimer = setInterval(() => {
+            dataset.source.add(dataset.generateJob(dataset.source.nextId(), Date.now()));
+        }, config.feed * 1000);
+        server.on('close', () => clearInterval(feedTimer));
+    }
+
+    server.dataset = dataset;
+    return server;
+}
+
+function parseArgs(argv) {
+    const names = { '--port': 'port', '--jobs': 'jobs', '--seed': 'seed', '--feed': 'feed', '--latency': 'latency', '--fail-rate': 'failRate' };
+    const options = { port: 8080, store: path.join(ROOT, 'dist', 'postings.json') };
+
+    for (let i = 0; i < argv.length; i += 2) {
+        if (argv[i] === '--store' && argv[i + 1] !== undefined) {
+            options.store = argv[i + 1] ? path.resolve(argv[i + 1]) : null;
+            continue;
+        }
+
+        const name = names[argv[i]];
+        const value = Number(argv[i + 1]);
+        if (!name || argv[i + 1] === undefined || Number.isNaN(value) || value < 0) {
+            return null;
+        }
+        options[name] = value;
+    }
+
+    return options;
+}
+
+function main(argv) {
+    const options = parseArgs(argv);
+    if (!options) {
+        console.error('Usage: mock-jobs-server [--port 8080] [--jobs 5000] [--seed 1] [--feed 30] [--latency 0] [--fail-rate 0] [--store file]');
+        return 2;
+    }
+
+    const { port, ...serverOptions } = options;
+    const server = createServer(serverOptions);
+    server.listen(port, () => {
+        console.log(`${server.dataset.source.jobs.length} postings at http://localhost:${port}/ (API under /api)`);
+        if (options.store) {
+            console.log(`Employer postings are kept in ${path.relative(process.cwd(), options.store) || options.store}`);
+        }
+    });
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { createServer, createDataset, generateJobs };
@@ -0,0 +1,121 @@
+// ==================================================
+// MOCK chrome.* API
+// Enough of storage, runtime and tabs to run the extension scripts headlessly,
+// e.g. in Node with jsdom. Not part of the built extension.
+// ==================================================
+
+// const chrome = createChromeMock({ sync: { disabledSites: ['example.com'] } });
+// startContentScript({ chrome, window, LinkModifier, settingsApi });
+// await chrome.tabs.sendMessage(chrome.activeTab.id, { type: 'link-modifier:status' });
+
+'use strict';
+
+function createEvent() {
+    const listeners = [];
+
+    return {
+        listeners,
+        addListener(listener) {
+            listeners.push(listener);
+        },
+        removeListener(listener) {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        },
+        hasListener(listener) {
+            return listeners.includes(listener);
+        }
+    };
+}
+
+function createChromeMock({ sync = {}, activeTab = { id: 1, url: 'https://example.com/' } } = {}) {
+    const syncData = JSON.parse(JSON.stringify(sync));
+    const storageChanged = createEvent();
+    const messageReceived = createEvent();
+    const calls = { openOptionsPage: 0 };
+
+    // Real chrome.storage hands out copies and notifies listeners asynchronously
+    const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+    const chrome = {
+        activeTab,
+        calls,
+        storage: {
+            sync: {
+                async get(keys) {
+                    if (keys === null || keys === undefined) {
+                        return copy(syncData);
+                    }
+
+                    const defaults = typeof keys === 'string' ? { [keys]: undefined } :
+                        Array.isArray(keys) ? Object.fromEntries(keys.map(key => [key, undefined])) : keys;
+                    const result = {};
+
+                    Object.keys(defaults).forEach(key => {
+                        const value = key in syncData ? syncData[key] : defaults[key];
+                        if (value !== undefined) {
+                            result[key] = copy(value);
+                        }
+                    });
+
+                    return result;
+                },
+                async set(items) {
+                    const changes = {};
+
+                    Object.keys(items).forEach(key => {
+                        changes[key] = { oldValue: copy(syncData[key]), newValue: copy(items[key]) };
+                        syncData[key] = copy(items[key]);
+                    });
+
+                    setTimeout(() => storageChanged.listeners.slice().forEach(listener => listener(changes, 'sync')), 0);
+                },
+                async clear() {
+                    Object.keys(syncData).forEach(key => delete syncData[key]);
+                }
+            },
+            onChanged: storageChanged
+        },
+        runtime: {
+            id: 'mock-extension-id',
+            onMessage: messageReceived,
+            openOptionsPage() {
+                calls.openOptionsPage++;
+                return Promise.resolve();
+            }
+        },
+        tabs: {
+            async query() {
+                return activeTab ? [{ ...activeTab, active: true }] : [];
+            },
+            // Delivers to the content script listeners, like a tab with one frame.
+            // A listener returning true answers later, as in Chrome
+            sendMessage(tabId, message) {
+                return new Promise((resolve, reject) => {
+                    let answered = false;
+                    let pending = false;
+                    const sendResponse = response => {
+                        answered = true;
+                        resolve(copy(response));
+                    };
+
+                    messageReceived.listeners.slice().forEach(listener => {
+                        if (listener(copy(message), { tab: { id: tabId } }, sendResponse) === true) {
+                            pending = true;
+                        }
+                    });
+
+                    if (!answered && !pending) {
+                        reject(new Error('Could not establish connection. Receiving end does not exist.'));
+                    }
+                });
+            }
+        }
+    };
+
+    return chrome;
+}
+
+module.exports = { createChromeMock };
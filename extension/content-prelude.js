@@ -0,0 +1,3 @@
+// Loaded before lib/index.js: the extension decides per site whether to run,
+// so the page-script auto-initialisation (METHOD 1) has to stay off
+self.LINK_MODIFIER_AUTO_INIT = false;
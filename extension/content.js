@@ -0,0 +1,93 @@
+// ==================================================
+// EXTENSION CONTENT SCRIPT
+// Runs LinkModifier with the stored settings and answers the toolbar popup
+// ==================================================
+
+(function(root) {
+    'use strict';
+
+    // Everything the script touches is passed in, so it runs against a mocked chrome.* too
+    function startContentScript({ chrome, window: win, LinkModifier, settingsApi }) {
+        const host = win.location.hostname;
+        const state = { modifier: null, enabled: false, restored: false };
+
+        function stopModifier() {
+            if (state.modifier) {
+                state.modifier.destroy({ restore: true });
+                state.modifier = null;
+            }
+        }
+
+        function apply(settings) {
+            stopModifier();
+
+            const options = settingsApi.optionsForHost(settings, host);
+            state.enabled = Boolean(options);
+            state.restored = false;
+
+            if (options) {
+                state.modifier = new LinkModifier(options);
+            }
+        }
+
+        function status() {
+            return {
+                host,
+                enabled: state.enabled,
+                restored: state.restored,
+                modifiedCount: state.modifier ? state.modifier.modifiedCount : 0
+            };
+        }
+
+        function onMessage(message, sender, sendResponse) {
+            if (!message || typeof message.type !== 'string') {
+                return;
+            }
+
+            if (message.type === 'link-modifier:status') {
+                sendResponse(status());
+            } else if (message.type === 'link-modifier:restore') {
+                // Until the next reload or settings change
+                stopModifier();
+                state.restored = true;
+                sendResponse(status());
+            } else if (message.type === 'link-modifier:reload') {
+                // Asked right after a save, chrome.storage.onChanged may not have fired yet
+                settingsApi.loadSettings(chrome).then(apply).then(() => sendResponse(status()));
+                // Keeps the channel open for the async answer
+                return true;
+            }
+        }
+
+        function onStorageChanged(changes, areaName) {
+            if (areaName === 'sync') {
+                settingsApi.loadSettings(chrome).then(apply);
+            }
+        }
+
+        chrome.runtime.onMessage.addListener(onMessage);
+        chrome.storage.onChanged.addListener(onStorageChanged);
+
+        return {
+            ready: settingsApi.loadSettings(chrome).then(apply),
+            status,
+            stop() {
+                chrome.runtime.onMessage.removeListener(onMessage);
+                chrome.storage.onChanged.removeListener(onStorageChanged);
+                stopModifier();
+            }
+        };
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { startContentScript };
+    } else if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.id) {
+        startContentScript({
+            chrome,
+            window: root,
+            // Declared by lib/index.js, loaded before this file
+            LinkModifier,
+            settingsApi: root.LinkModifierSettings
+        });
+    }
+})(typeof self !== 'undefined' ? self : this);
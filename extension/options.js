@@ -0,0 +1,70 @@
+// ==================================================
+// EXTENSION OPTIONS PAGE
+// Global switches, per-site enable/disable and exclusion rules
+// ==================================================
+
+(function(root) {
+    'use strict';
+
+    const CHECKBOXES = ['enabled', 'security', 'accessibility'];
+    const LISTS = ['disabledSites', 'excludePatterns', 'excludeClasses'];
+
+    function toLines(text) {
+        return text.split('\n').map(line => line.trim()).filter(Boolean);
+    }
+
+    async function startOptions({ chrome, document, settingsApi }) {
+        const form = document.getElementById('settings-form');
+        const error = document.getElementById('error');
+        const saved = document.getElementById('saved');
+
+        function fill(settings) {
+            CHECKBOXES.forEach(name => {
+                form.elements[name].checked = Boolean(settings[name]);
+            });
+            LISTS.forEach(name => {
+                form.elements[name].value = settings[name].join('\n');
+            });
+        }
+
+        function read() {
+            const settings = {};
+            CHECKBOXES.forEach(name => {
+                settings[name] = form.elements[name].checked;
+            });
+            LISTS.forEach(name => {
+                settings[name] = toLines(form.elements[name].value);
+            });
+            settings.disabledSites = settings.disabledSites.map(settingsApi.normalizeHost);
+            return settings;
+        }
+
+        async function save(event) {
+            event.preventDefault();
+            saved.textContent = '';
+
+            const settings = read();
+            const invalid = settingsApi.invalidPatterns(settings.excludePatterns);
+
+            error.hidden = invalid.length === 0;
+            if (invalid.length > 0) {
+                error.textContent = `Not a valid regular expression: ${invalid.join(', ')}`;
+                return;
+            }
+
+            await settingsApi.saveSettings(chrome, settings);
+            saved.textContent = 'Saved';
+        }
+
+        fill(await settingsApi.loadSettings(chrome));
+        form.addEventListener('submit', save);
+
+        return { fill, read };
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { startOptions };
+    } else {
+        startOptions({ chrome, document, settingsApi: root.LinkModifierSettings });
+    }
+})(typeof self !== 'undefined' ? self : this);
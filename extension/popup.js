@@ -0,0 +1,72 @@
+// ==================================================
+// EXTENSION POPUP
+// Modified link count for the current tab, per-site switch and restore
+// ==================================================
+
+(function(root) {
+    'use strict';
+
+    async function startPopup({ chrome, document, settingsApi }) {
+        const elements = {
+            host: document.getElementById('host'),
+            status: document.getElementById('status'),
+            unavailable: document.getElementById('unavailable'),
+            count: document.getElementById('count'),
+            siteEnabled: document.getElementById('site-enabled'),
+            restore: document.getElementById('restore'),
+            openOptions: document.getElementById('open-options')
+        };
+
+        elements.openOptions.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+        // Fails on pages without the content script (chrome://, the web store...)
+        async function send(type) {
+            try {
+                return await chrome.tabs.sendMessage(tab.id, { type });
+            } catch (e) {
+                return null;
+            }
+        }
+
+        function render(status) {
+            elements.status.hidden = !status;
+            elements.unavailable.hidden = Boolean(status);
+            if (!status) {
+                return;
+            }
+
+            elements.host.textContent = status.host;
+            elements.count.textContent = status.modifiedCount;
+            elements.siteEnabled.checked = status.enabled;
+            elements.restore.disabled = !status.enabled || status.restored;
+            elements.restore.textContent = status.restored ? 'Links restored' : 'Restore links on this page';
+        }
+
+        let status = tab ? await send('link-modifier:status') : null;
+        render(status);
+
+        elements.restore.addEventListener('click', async () => {
+            status = await send('link-modifier:restore');
+            render(status);
+        });
+
+        // The content script would pick the change up from chrome.storage.onChanged, but
+        // only after this answer. Have it reload now and answer once the page is redone
+        elements.siteEnabled.addEventListener('change', async () => {
+            const settings = await settingsApi.loadSettings(chrome);
+            await settingsApi.saveSettings(chrome, settingsApi.setSiteEnabled(settings, status.host, elements.siteEnabled.checked));
+            status = await send('link-modifier:reload');
+            render(status);
+        });
+
+        return { render };
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { startPopup };
+    } else {
+        startPopup({ chrome, document, settingsApi: root.LinkModifierSettings });
+    }
+})(typeof self !== 'undefined' ? self : this);
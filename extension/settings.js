@@ -0,0 +1,95 @@
+// ==================================================
+// EXTENSION SETTINGS
+// Shared by the content script, popup and options page, stored in chrome.storage.sync
+// ==================================================
+
+(function(root) {
+    'use strict';
+
+    const DEFAULT_SETTINGS = {
+        enabled: true,          // Switch for every site
+        disabledSites: [],      // Hosts left alone, subdomains included
+        excludePatterns: [],    // Regular expression strings, matching hrefs are left alone
+        excludeClasses: [],     // Links with these classes are left alone
+        security: false,        // Block javascript:/data: links, mixed content and lookalike domains
+        accessibility: false    // Tell screen readers a link opens a new tab
+    };
+
+    // chrome.storage returns promises in Manifest V3
+    function loadSettings(chrome) {
+        return chrome.storage.sync.get(DEFAULT_SETTINGS).then(stored => ({ ...DEFAULT_SETTINGS, ...stored }));
+    }
+
+    function saveSettings(chrome, settings) {
+        return chrome.storage.sync.set(settings);
+    }
+
+    function normalizeHost(host) {
+        return String(host || '').trim().toLowerCase().replace(/^www\./, '');
+    }
+
+    function matchesSite(site, host) {
+        const normalizedSite = normalizeHost(site);
+        const normalizedHost = normalizeHost(host);
+        return normalizedSite !== '' &&
+            (normalizedHost === normalizedSite || normalizedHost.endsWith(`.${normalizedSite}`));
+    }
+
+    function isEnabledFor(settings, host) {
+        return settings.enabled && !settings.disabledSites.some(site => matchesSite(site, host));
+    }
+
+    // Add or remove the host from disabledSites, returns the new settings
+    function setSiteEnabled(settings, host, enabled) {
+        const disabledSites = settings.disabledSites.filter(site => !matchesSite(site, host));
+        if (!enabled) {
+            disabledSites.push(normalizeHost(host));
+        }
+        return { ...settings, disabledSites };
+    }
+
+    // Invalid patterns are returned instead of thrown, for the options page to show
+    function invalidPatterns(patterns) {
+        return patterns.filter(pattern => {
+            try {
+                new RegExp(pattern);
+                return false;
+            } catch (e) {
+                return true;
+            }
+        });
+    }
+
+    // LinkModifier options for a page, null when the extension is off there
+    function optionsForHost(settings, host) {
+        if (!isEnabledFor(settings, host)) {
+            return null;
+        }
+
+        return {
+            excludePatterns: settings.excludePatterns
+                .filter(pattern => invalidPatterns([pattern]).length === 0)
+                .map(pattern => new RegExp(pattern)),
+            excludeClasses: settings.excludeClasses,
+            security: settings.security,
+            accessibility: settings.accessibility
+        };
+    }
+
+    const api = {
+        DEFAULT_SETTINGS,
+        loadSettings,
+        saveSettings,
+        normalizeHost,
+        isEnabledFor,
+        setSiteEnabled,
+        invalidPatterns,
+        optionsForHost
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        root.LinkModifierSettings = api;
+    }
+})(typeof self !== 'undefined' ? self : this);
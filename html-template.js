@@ -0,0 +1,121 @@
+// ==================================================
+// HTML TEMPLATES
+// Tagged templates that escape every value unless it is markup built by html``
+// itself, and keyed list updates that leave unchanged elements in place
+// ==================================================
+
+// container.innerHTML = html`<h3 class="${kind}">${job.title}</h3>`;   // title and kind are escaped
+// const tags = html`${job.skills.map(skill => html`<span class="tag">${skill}</span>`)}`;
+// renderKeyed(container, jobs, { key: job => job.id, render: job => html`<div class="job-card">...</div>` });
+//
+// Values are escaped for text and for quoted attributes. Unquoted attributes, URLs in href/src
+// and inline event handlers are not made safe by escaping, keep job data out of them.
+
+(function(root) {
+    'use strict';
+
+    // Markup that is already safe, from html`` or raw()
+    class SafeHtml {
+        constructor(value) {
+            this.value = value;
+        }
+
+        toString() {
+            return this.value;
+        }
+    }
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Arrays are joined, null, undefined and false render nothing
+    function toHtml(value) {
+        if (value instanceof SafeHtml) {
+            return value.value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(toHtml).join('');
+        }
+        if (value === null || value === undefined || value === false) {
+            return '';
+        }
+        return escapeHtml(value);
+    }
+
+    function html(strings, ...values) {
+        let output = strings[0];
+        values.forEach((value, i) => {
+            output += toHtml(value) + strings[i + 1];
+        });
+        return new SafeHtml(output);
+    }
+
+    // Trusts markup as it is, only for strings the page wrote itself
+    function raw(markup) {
+        return new SafeHtml(String(markup));
+    }
+
+    // Markup each keyed element was last rendered from
+    const renderedMarkup = new WeakMap();
+
+    function createElement(container, markup) {
+        const template = container.ownerDocument.createElement('template');
+        template.innerHTML = markup.trim();
+
+        if (template.content.childElementCount !== 1) {
+            throw new Error('renderKeyed: render() must return exactly one element');
+        }
+        return template.content.firstElementChild;
+    }
+
+    // Makes container's elements one per item, in order. Elements are matched by their data-key,
+    // one whose markup is unchanged stays in the document as it is (with its focus and state).
+    // Anything else in the container, like a loading message, is removed
+    function renderKeyed(container, items, { key, render }) {
+        const existing = new Map();
+        Array.from(container.children).forEach(element => {
+            if (element.dataset.key !== undefined) {
+                existing.set(element.dataset.key, element);
+            }
+        });
+
+        const elements = items.map(item => {
+            const id = String(key(item));
+            const markup = toHtml(render(item));
+            const current = existing.get(id);
+            if (current && renderedMarkup.get(current) === markup) {
+                return current;
+            }
+
+            const element = createElement(container, markup);
+            element.dataset.key = id;
+            renderedMarkup.set(element, markup);
+            return element;
+        });
+
+        // Only elements out of place move, the rest are not touched
+        elements.forEach((element, i) => {
+            const current = container.children[i];
+            if (current !== element) {
+                container.insertBefore(element, current || null);
+            }
+        });
+        while (container.children.length > elements.length) {
+            container.lastElementChild.remove();
+        }
+    }
+
+    const api = { SafeHtml, html, raw, escapeHtml, renderKeyed };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        root.HtmlTemplate = api;
+    }
+})(typeof self !== 'undefined' ? self : this);
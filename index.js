@@ -3,657 +3,3880 @@
 // Modifies existing frontend applications to open all links in new pages
 // ==================================================
 
-// METHOD 1: Pure JavaScript - Add to existing HTML page
-// Add this script before closing </body> tag or in a separate JS file
+// ==================================================
+// SHARED LINK POLICY ENGINE
+// Every method below asks this one policy what to do with a link
+// ==================================================
 
-(function() {
-    'use strict';
-    
-    // Configuration options
-    const CONFIG = {
-        // Target all links or specific selectors
-        targetSelector: 'a[href]', // Can be 'a', 'a[href^="http"]', etc.
+/*
+Rules are checked in the order they are listed:
+  1. 'add-rel' rules add their rel tokens and checking continues
+  2. the first matching 'new-tab', 'same-tab' or 'skip' rule decides
+  3. if no rule decides, defaultAction is used
+Exclusion options (excludeSelectors, excludePatterns, excludeClasses) become
+'skip' rules placed before your own rules, and LinkPolicy.DEFAULT_RULES come last.
+
+Rule format (every key in "match" must match):
+{
+    match: {
+        host: '*.example.com',      // glob or RegExp on the hostname, or an array of them
+        path: '/docs/**',           // glob or RegExp on the pathname
+        protocol: 'mailto:',        // protocol or array of protocols
+        href: /^#/,                 // glob or RegExp on the raw href attribute
+        selector: 'a.no-new-tab',   // CSS selector the link must match
+        data: 'external',           // data-external present, or { policy: 'skip' } for a value
+        external: true              // link points to another host
+    },
+    action: 'new-tab',              // 'new-tab' | 'same-tab' | 'skip' | 'add-rel'
+    rel: 'sponsored'                // extra rel tokens when this rule matches
+}
+*/
+
+class LinkPolicy {
+    constructor(options = {}) {
+        this.config = {
+            rules: [],
+            defaultAction: 'new-tab',
+            useDefaultRules: true,
+            addSecurity: true,
+            securityRel: ['noopener', 'noreferrer'],
+            baseUrl: null, // Defaults to the current page
+            security: null, // true or LinkSecurityGuard options, blocks dangerous links
+            declarative: false, // Honour data-link-policy / data-link-rel on the link and its ancestors
+            ...options
+        };
         
-        // Exclude certain links from modification
-        excludeSelectors: [
-            'a[href^="#"]',           // Anchor links
-            'a[href^="mailto:"]',     // Email links
-            'a[href^="tel:"]',        // Phone links
-            'a[download]',            // Download links
-            'a.no-new-tab'           // Custom class to exclude
-        ],
+        const { security } = this.config;
+        this.guard = security instanceof LinkSecurityGuard ? security :
+            security ? new LinkSecurityGuard(security === true ? {} : security) : null;
         
-        // Add security attributes
-        addSecurity: true,
+        const rules = [...this.config.rules];
+        if (this.config.useDefaultRules) {
+            rules.push(...LinkPolicy.DEFAULT_RULES.map(rule => ({ ...rule, builtIn: true })));
+        }
         
-        // Log modifications (for debugging)
-        enableLogging: false
-    };
-
-    // Function to modify existing links
-    function modifyExistingLinks() {
-        const links = document.querySelectorAll(CONFIG.targetSelector);
-        let modifiedCount = 0;
+        this.rules = rules.map(rule => LinkPolicy.normalizeRule(rule));
+    }
+    
+    // Build a policy from the option names used by the different methods
+    static fromOptions(options = {}) {
+        if (options.policy instanceof LinkPolicy) {
+            return options.policy;
+        }
         
-        links.forEach(link => {
-            // Skip if link matches exclude criteria
-            if (shouldExcludeLink(link)) {
-                return;
+        const {
+            excludeSelectors = [],
+            excludePatterns = [],
+            excludeClasses = [],
+            rules = []
+        } = options;
+        
+        const exclusions = [
+            ...excludeSelectors.map(selector => ({ match: { selector }, action: 'skip' })),
+            ...excludePatterns.map(href => ({ match: { href }, action: 'skip' })),
+            ...excludeClasses.map(className => ({ match: { selector: `.${className}` }, action: 'skip' }))
+        ];
+        
+        const policyOptions = { rules: [...exclusions, ...rules] };
+        ['defaultAction', 'useDefaultRules', 'securityRel', 'baseUrl', 'security', 'declarative'].forEach(key => {
+            if (options[key] !== undefined) {
+                policyOptions[key] = options[key];
             }
-            
-            // Skip if already modified
-            if (link.hasAttribute('data-modified')) {
-                return;
+        });
+        
+        // LinkModifier calls it addSecurityAttributes, the other methods addSecurity
+        const addSecurity = options.addSecurity !== undefined ? options.addSecurity : options.addSecurityAttributes;
+        if (addSecurity !== undefined) {
+            policyOptions.addSecurity = addSecurity;
+        }
+        
+        return new LinkPolicy(policyOptions);
+    }
+    
+    static normalizeRule(rule) {
+        const action = rule.action || 'new-tab';
+        if (!LinkPolicy.ACTIONS.includes(action)) {
+            throw new Error(`LinkPolicy: unknown action "${action}"`);
+        }
+        
+        return {
+            ...rule,
+            match: rule.match || {},
+            action,
+            rel: LinkPolicy.relTokens(rule.rel)
+        };
+    }
+    
+    // Decide what should happen to a link without touching it
+    evaluate(link) {
+        const context = this.describe(link);
+        const rel = [];
+        let action = this.config.defaultAction;
+        let decidedBy = null;
+        
+        // A container's data-link-policy overrides the configured rules,
+        // the built-in exclusions (mailto:, downloads...) still apply
+        const declared = this.config.declarative ? LinkPolicy.readDeclared(link) : null;
+        const declaredAction = declared ? declared.action : null;
+        
+        for (const rule of this.rules) {
+            if (declaredAction && !rule.builtIn && rule.action !== 'add-rel') {
+                continue;
             }
             
-            // Modify the link
-            link.setAttribute('target', '_blank');
-            
-            // Add security attributes for external links
-            if (CONFIG.addSecurity && isExternalLink(link)) {
-                link.setAttribute('rel', 'noopener noreferrer');
+            if (!this.matchesRule(rule.match, context)) {
+                continue;
             }
             
-            // Mark as modified
-            link.setAttribute('data-modified', 'true');
+            rel.push(...rule.rel);
             
-            modifiedCount++;
-            
-            if (CONFIG.enableLogging) {
-                console.log(`Modified link: ${link.href}`);
+            if (rule.action !== 'add-rel') {
+                action = rule.action;
+                decidedBy = rule;
+                break;
             }
-        });
+        }
         
-        if (CONFIG.enableLogging) {
-            console.log(`Total links modified: ${modifiedCount}`);
+        if (declaredAction && !decidedBy) {
+            action = declaredAction;
         }
         
-        return modifiedCount;
+        if (declared) {
+            rel.push(...declared.rel);
+        }
+        
+        if (action === 'new-tab' && this.config.addSecurity && context.external) {
+            rel.push(...LinkPolicy.relTokens(this.config.securityRel));
+        }
+        
+        // Security checks win over every rule, including skip rules
+        const threats = this.guard ? this.guard.inspect(context, this.getBaseUrl()) : [];
+        if (threats.some(threat => threat.action === 'block')) {
+            action = 'block';
+            rel.length = 0;
+            decidedBy = null;
+        }
+        
+        return {
+            action,
+            rel: [...new Set(rel)],
+            rule: decidedBy,
+            url: context.url,
+            external: context.external,
+            threats
+        };
+    }
+    
+    // Apply a decision to the link, returns the decision
+    apply(link, decision = this.evaluate(link)) {
+        // Report-only threats count on links a rule leaves alone too
+        this.report(decision);
+        
+        if (decision.action === 'skip') {
+            return decision;
+        }
+        
+        if (decision.action === 'block') {
+            LinkSecurityGuard.disarm(link, decision.threats);
+            return decision;
+        }
+        
+        const upgrade = decision.threats.find(threat => threat.upgradeTo);
+        if (upgrade) {
+            link.setAttribute('href', upgrade.upgradeTo);
+        }
+        
+        if (decision.action === 'new-tab') {
+            link.setAttribute('target', '_blank');
+        } else if (decision.action === 'same-tab') {
+            link.removeAttribute('target');
+        }
+        
+        if (decision.rel.length > 0) {
+            link.setAttribute('rel', LinkPolicy.mergeRel(link.getAttribute('rel'), decision.rel));
+        }
+        
+        return decision;
+    }
+    
+    // Pass the decision's threats to the security guard's onThreat callback
+    report(decision) {
+        if (this.guard && decision.threats.length > 0) {
+            this.guard.report(decision.threats);
+        }
+    }
+    
+    isExternal(link) {
+        return this.describe(link).external;
+    }
+    
+    describe(link) {
+        const href = link.getAttribute('href') || '';
+        const base = this.getBaseUrl();
+        let url = null;
+        
+        try {
+            url = new URL(href, base);
+        } catch (e) {
+            url = null;
+        }
+        
+        const baseHost = base ? new URL(base).hostname : '';
+        const external = Boolean(url && /^https?:$/.test(url.protocol) && url.hostname !== baseHost);
+        
+        return { link, href, url, external };
+    }
+    
+    getBaseUrl() {
+        if (this.config.baseUrl) {
+            return this.config.baseUrl;
+        }
+        
+        if (typeof document !== 'undefined' && document.baseURI) {
+            return document.baseURI;
+        }
+        
+        return typeof window !== 'undefined' ? window.location.href : undefined;
     }
     
-    // Function to check if link should be excluded
-    function shouldExcludeLink(link) {
-        return CONFIG.excludeSelectors.some(selector => {
+    matchesRule(match, context) {
+        const { link, href, url, external } = context;
+        
+        if (match.external !== undefined && match.external !== external) {
+            return false;
+        }
+        
+        if (match.href !== undefined && !LinkPolicy.testPatterns(match.href, href)) {
+            return false;
+        }
+        
+        if (match.protocol !== undefined) {
+            const protocols = [].concat(match.protocol).map(p => p.toLowerCase().replace(/:?$/, ':'));
+            if (!url || !protocols.includes(url.protocol)) {
+                return false;
+            }
+        }
+        
+        if (match.host !== undefined && !(url && LinkPolicy.testPatterns(match.host, url.hostname, { ignoreCase: true }))) {
+            return false;
+        }
+        
+        if (match.path !== undefined && !(url && LinkPolicy.testPatterns(match.path, url.pathname, { separator: '/' }))) {
+            return false;
+        }
+        
+        if (match.selector !== undefined) {
             try {
-                return link.matches(selector);
+                if (!link.matches(match.selector)) {
+                    return false;
+                }
             } catch (e) {
                 return false;
             }
-        });
+        }
+        
+        if (match.data !== undefined && !LinkPolicy.matchesData(match.data, link)) {
+            return false;
+        }
+        
+        return true;
     }
     
-    // Function to check if link is external
-    function isExternalLink(link) {
-        const currentDomain = window.location.hostname;
-        const linkDomain = new URL(link.href, window.location.origin).hostname;
-        return currentDomain !== linkDomain;
+    // Nearest data-link-policy and data-link-rel, counting the link itself
+    static readDeclared(link) {
+        if (typeof link.closest !== 'function') {
+            return null;
+        }
+        
+        const policyElement = link.closest('[data-link-policy]');
+        const relElement = link.closest('[data-link-rel]');
+        const action = policyElement ? policyElement.getAttribute('data-link-policy').trim() : null;
+        
+        return {
+            action: LinkPolicy.DECLARATIVE_ACTIONS.includes(action) ? action : null,
+            rel: relElement ? LinkPolicy.relTokens(relElement.getAttribute('data-link-rel')) : []
+        };
     }
     
-    // Observe for dynamically added links
-    function observeDynamicLinks() {
-        const observer = new MutationObserver(function(mutations) {
-            mutations.forEach(function(mutation) {
-                if (mutation.type === 'childList') {
-                    mutation.addedNodes.forEach(function(node) {
-                        if (node.nodeType === Node.ELEMENT_NODE) {
-                            // Check if the added node is a link
-                            if (node.tagName === 'A' && node.href) {
-                                if (!shouldExcludeLink(node) && !node.hasAttribute('data-modified')) {
-                                    node.setAttribute('target', '_blank');
-                                    if (CONFIG.addSecurity && isExternalLink(node)) {
-                                        node.setAttribute('rel', 'noopener noreferrer');
-                                    }
-                                    node.setAttribute('data-modified', 'true');
-                                }
-                            }
-                            
-                            // Check for links within the added node
-                            const nestedLinks = node.querySelectorAll ? node.querySelectorAll('a[href]') : [];
-                            nestedLinks.forEach(link => {
-                                if (!shouldExcludeLink(link) && !link.hasAttribute('data-modified')) {
-                                    link.setAttribute('target', '_blank');
-                                    if (CONFIG.addSecurity && isExternalLink(link)) {
-                                        link.setAttribute('rel', 'noopener noreferrer');
-                                    }
-                                    link.setAttribute('data-modified', 'true');
-                                }
-                            });
-                        }
-                    });
-                }
-            });
-        });
+    static matchesData(data, link) {
+        if (typeof data === 'string') {
+            return link.hasAttribute(`data-${data}`);
+        }
         
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true
+        return Object.keys(data).every(name => {
+            const attribute = `data-${name}`;
+            if (data[name] === true) {
+                return link.hasAttribute(attribute);
+            }
+            return link.getAttribute(attribute) === String(data[name]);
         });
-        
-        return observer;
     }
     
-    // Initialize when DOM is ready
-    function initialize() {
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', function() {
-                modifyExistingLinks();
-                observeDynamicLinks();
-            });
-        } else {
-            modifyExistingLinks();
-            observeDynamicLinks();
-        }
+    static testPatterns(patterns, value, options = {}) {
+        return [].concat(patterns).some(pattern => {
+            const regex = pattern instanceof RegExp ? pattern : LinkPolicy.globToRegExp(pattern, options);
+            return regex.test(value);
+        });
     }
     
-    // Public API
-    window.HyperlinkModifier = {
-        init: initialize,
-        modifyExisting: modifyExistingLinks,
-        config: CONFIG
-    };
+    // '*' stops at the separator (if any), '**' matches anything
+    static globToRegExp(glob, { separator = null, ignoreCase = false } = {}) {
+        const single = separator ? `[^${separator}]*` : '.*';
+        const source = glob
+            .split('**')
+            .map(part => part
+                .split('*')
+                .map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+                .join(single))
+            .join('.*');
+        
+        return new RegExp(`^${source}$`, ignoreCase ? 'i' : '');
+    }
     
-    // Auto-initialize
-    initialize();
-})();
-
-// ==================================================
-// METHOD 2: React Hook for React Applications
-// ==================================================
-
-// Custom React hook to modify links
-function useNewTabLinks(options = {}) {
-    const {
-        excludeSelectors = ['a[href^="#"]', 'a[href^="mailto:"]', 'a[href^="tel:"]'],
-        addSecurity = true,
-        enableLogging = false
-    } = options;
-    
-    React.useEffect(() => {
-        const modifyLinks = () => {
-            const links = document.querySelectorAll('a[href]');
-            let modifiedCount = 0;
-            
-            links.forEach(link => {
-                // Skip excluded links
-                const shouldExclude = excludeSelectors.some(selector => {
-                    try {
-                        return link.matches(selector);
-                    } catch (e) {
-                        return false;
-                    }
-                });
-                
-                if (shouldExclude || link.hasAttribute('data-modified')) {
-                    return;
-                }
-                
-                link.setAttribute('target', '_blank');
-                
-                if (addSecurity) {
-                    const currentDomain = window.location.hostname;
-                    const linkDomain = new URL(link.href, window.location.origin).hostname;
-                    
-                    if (currentDomain !== linkDomain) {
-                        link.setAttribute('rel', 'noopener noreferrer');
-                    }
-                }
-                
-                link.setAttribute('data-modified', 'true');
-                modifiedCount++;
-            });
-            
-            if (enableLogging) {
-                console.log(`React: Modified ${modifiedCount} links`);
-            }
-        };
+    static relTokens(rel) {
+        if (!rel) {
+            return [];
+        }
         
-        // Initial modification
-        modifyLinks();
+        return [].concat(rel)
+            .join(' ')
+            .split(/\s+/)
+            .filter(Boolean);
+    }
+    
+    // Add tokens to an existing rel value without duplicating any
+    static mergeRel(existingRel, tokens) {
+        const current = LinkPolicy.relTokens(existingRel);
+        const lower = current.map(token => token.toLowerCase());
         
-        // Observer for dynamic content
-        const observer = new MutationObserver(modifyLinks);
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true
+        tokens.forEach(token => {
+            if (!lower.includes(token.toLowerCase())) {
+                current.push(token);
+                lower.push(token.toLowerCase());
+            }
         });
         
-        return () => observer.disconnect();
-    }, []);
+        return current.join(' ');
+    }
 }
 
-// Usage in React component:
-// function MyComponent() {
-//     useNewTabLinks({ enableLogging: true });
-//     return <div>Your component content</div>;
-// }
+LinkPolicy.ACTIONS = ['new-tab', 'same-tab', 'skip', 'add-rel', 'block'];
 
-// ==================================================
-// METHOD 3: jQuery Version (if jQuery is available)
-// ==================================================
+// <div data-link-policy="same-tab" data-link-rel="nofollow">, see the declarative option
+LinkPolicy.DECLARATIVE_ACTIONS = ['new-tab', 'same-tab', 'skip'];
+LinkPolicy.DECLARATIVE_ATTRIBUTES = ['data-link-policy', 'data-link-rel'];
 
-function modifyLinksWithJQuery() {
-    $(document).ready(function() {
-        // Modify existing links
-        function updateLinks() {
-            $('a[href]').not('[href^="#"], [href^="mailto:"], [href^="tel:"], [data-modified]').each(function() {
-                $(this).attr('target', '_blank');
-                
-                // Add security for external links
-                const currentDomain = window.location.hostname;
-                const linkDomain = new URL(this.href, window.location.origin).hostname;
-                
-                if (currentDomain !== linkDomain) {
-                    $(this).attr('rel', 'noopener noreferrer');
-                }
-                
-                $(this).attr('data-modified', 'true');
+// The exclusions every method used to hard-code, in one place
+LinkPolicy.DEFAULT_RULES = [
+    { match: { href: /^#/ }, action: 'skip' },                              // Anchor links
+    { match: { protocol: ['mailto:', 'tel:', 'javascript:'] }, action: 'skip' }, // Email, phone and JavaScript links
+    { match: { selector: 'a[download]' }, action: 'skip' },                 // Download links
+    { match: { selector: '.no-new-tab, .internal-link' }, action: 'skip' }  // Opt-out classes
+];
+
+// Security mode for untrusted links (user-generated content): disarms dangerous
+// schemes, refuses mixed content and flags IDN hosts imitating trusted domains.
+// Used through the policy's security option, so every method gets the same checks.
+class LinkSecurityGuard {
+    constructor(options = {}) {
+        this.config = {
+            schemes: ['javascript:', 'vbscript:', 'data:'], // Always blocked
+            mixedContent: 'block',  // http: links from an https: page: 'block', 'upgrade', 'report' or false
+            trustedDomains: [],     // Domains lookalike hosts are compared against, e.g. 'jobsindia.com'
+            lookalikes: 'block',    // 'block', 'report' or false
+            onThreat: null,         // Called with each threat when a link is handled
+            ...options
+        };
+    }
+    
+    // Threats for a LinkPolicy.describe() context: [{ type, action, link, href, ... }]
+    inspect({ link, href, url }, pageUrl) {
+        const { schemes, mixedContent, lookalikes } = this.config;
+        const threats = [];
+        const scheme = LinkSecurityGuard.getScheme(href, url);
+        
+        if (scheme && schemes.includes(scheme)) {
+            threats.push({ type: 'dangerous-scheme', action: 'block', link, href, scheme });
+            return threats;
+        }
+        
+        if (!url || !/^https?:$/.test(url.protocol)) {
+            return threats;
+        }
+        
+        let pageProtocol = null;
+        try {
+            pageProtocol = new URL(pageUrl).protocol;
+        } catch (e) {
+            pageProtocol = null;
+        }
+        
+        if (mixedContent && pageProtocol === 'https:' && url.protocol === 'http:') {
+            const threat = { type: 'mixed-content', action: mixedContent, link, href };
+            if (mixedContent === 'upgrade') {
+                const secure = new URL(url.href);
+                secure.protocol = 'https:';
+                threat.upgradeTo = secure.href;
+            }
+            threats.push(threat);
+        }
+        
+        const imitates = lookalikes ? this.findImitatedDomain(url.hostname) : null;
+        if (imitates) {
+            threats.push({
+                type: 'lookalike-domain',
+                action: lookalikes,
+                link,
+                href,
+                host: Punycode.toUnicode(url.hostname),
+                imitates
             });
         }
         
-        // Initial update
-        updateLinks();
+        return threats;
+    }
+    
+    // Trusted domain a host looks like without being it: letters from other scripts,
+    // or plain ASCII that reads the same (paypa1.com, rnicrosoft.com)
+    findImitatedDomain(hostname) {
+        const host = Punycode.toUnicode(hostname.toLowerCase());
+        const skeleton = LinkSecurityGuard.skeleton(host);
         
-        // Update on dynamic content
-        $(document).on('DOMNodeInserted', updateLinks);
-    });
+        return this.config.trustedDomains.find(domain => {
+            const trusted = Punycode.toUnicode(domain.toLowerCase());
+            if (host === trusted || host.endsWith(`.${trusted}`)) {
+                return false;
+            }
+            
+            const trustedSkeleton = LinkSecurityGuard.skeleton(trusted);
+            return skeleton === trustedSkeleton || skeleton.endsWith(`.${trustedSkeleton}`);
+        }) || null;
+    }
+    
+    report(threats) {
+        if (this.config.onThreat) {
+            threats.forEach(threat => this.config.onThreat(threat));
+        }
+    }
+    
+    // The URL parser drops whitespace and control characters the way browsers do,
+    // so "java\tscript:" and " JAVASCRIPT:" are caught too
+    static getScheme(href, url) {
+        if (url) {
+            return url.protocol;
+        }
+        
+        const match = href.replace(/[\u0000-\u0020]/g, '').match(/^([a-z][a-z0-9+.-]*:)/i);
+        return match ? match[1].toLowerCase() : null;
+    }
+    
+    // What a host looks like: compatibility forms and accents folded, confusable letters mapped to ASCII
+    static skeleton(host) {
+        const confusables = LinkSecurityGuard.CONFUSABLES;
+        
+        return Array.from(host.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase())
+            .map(char => confusables[char] || char)
+            .join('')
+            .replace(/rn/g, 'm');
+    }
+    
+    // An <a> without href is not a link: nothing to click, focus or open
+    static disarm(link, threats = []) {
+        const reasons = [...new Set(threats.filter(threat => threat.action === 'block').map(threat => threat.type))];
+        
+        link.removeAttribute('href');
+        link.removeAttribute('target');
+        link.setAttribute('data-link-blocked', reasons.join(' ') || 'rule');
+    }
 }
 
-// ==================================================
-// METHOD 4: CSS-only Solution (Limited functionality)
-// ==================================================
-
-/*
-Add this CSS to your stylesheet:
-This only works for links you can target with CSS selectors
+// Letters from other scripts that render like Latin ones, plus digits that pass for letters
+LinkSecurityGuard.CONFUSABLES = {
+    // Cyrillic
+    'а': 'a', 'с': 'c', 'ԁ': 'd', 'е': 'e', 'һ': 'h', 'і': 'i', 'ј': 'j', 'к': 'k', 'ӏ': 'l',
+    'о': 'o', 'р': 'p', 'ԛ': 'q', 'ѕ': 's', 'т': 't', 'ԝ': 'w', 'х': 'x', 'у': 'y', 'ь': 'b',
+    // Greek
+    'α': 'a', 'ϲ': 'c', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+    'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+    // Armenian
+    'հ': 'h', 'ո': 'n', 'ս': 'u', 'օ': 'o', 'ց': 'g',
+    // Latin look-alikes
+    'ɡ': 'g', 'ı': 'i', 'ȷ': 'j', 'ł': 'l', 'ø': 'o', 'ß': 'b',
+    '0': 'o', '1': 'l'
+};
 
-a[href]:not([href^="#"]):not([href^="mailto:"]):not([href^="tel:"]) {
-    // CSS can't set target="_blank", but you can style differently
-    position: relative;
-}
+// Optional href rewriting for external links: decorate partner URLs with
+// UTM/referral parameters, strip tracking parameters from everyone else's.
+// Links matching a decorate rule are decorated and not stripped.
+//
+// {
+//     decorate: [
+//         { host: '*.partner.com', params: { utm_source: 'jobsindia', ref: 'jobsindia' }, overwrite: false }
+//     ],
+//     strip: true   // or [{ host: '*', params: ['utm_*', 'fbclid'] }], params default to DEFAULT_PARAMS
+// }
+class LinkUrlRewriter {
+    constructor(options = {}) {
+        this.config = {
+            decorate: [],
+            strip: [],
+            ...options
+        };
+        
+        const strip = this.config.strip === true ? [{ host: '*' }] : (this.config.strip || []);
+        this.stripRules = strip.map(rule => ({
+            host: rule.host || '*',
+            params: (rule.params || LinkUrlRewriter.DEFAULT_PARAMS).map(param => LinkPolicy.globToRegExp(param, { ignoreCase: true }))
+        }));
+    }
+    
+    // Takes a LinkPolicy decision, returns the new href or null when nothing changes
+    rewrite(decision) {
+        if (!decision.external || !decision.url || decision.action === 'skip' || decision.action === 'block') {
+            return null;
+        }
+        
+        // Start from the https:// address a mixed-content upgrade gave the link
+        const upgrade = (decision.threats || []).find(threat => threat.upgradeTo);
+        const url = new URL(upgrade ? upgrade.upgradeTo : decision.url.href);
+        const before = url.search;
+        const host = url.hostname;
+        const decoration = this.config.decorate.find(rule => LinkPolicy.testPatterns(rule.host, host, { ignoreCase: true }));
+        
+        if (decoration) {
+            Object.keys(decoration.params || {}).forEach(name => {
+                if (decoration.overwrite || !url.searchParams.has(name)) {
+                    url.searchParams.set(name, decoration.params[name]);
+                }
+            });
+        } else {
+            this.stripRules
+                .filter(rule => LinkPolicy.testPatterns(rule.host, host, { ignoreCase: true }))
+                .forEach(rule => {
+                    Array.from(url.searchParams.keys()).forEach(name => {
+                        if (rule.params.some(pattern => pattern.test(name))) {
+                            url.searchParams.delete(name);
+                        }
+                    });
+                });
+        }
+        
+        return url.search === before ? null : url.href;
+    }
+}
+
+// Common click identifiers and campaign parameters
+LinkUrlRewriter.DEFAULT_PARAMS = [
+    'utm_*', 'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid',
+    'twclid', 'igshid', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'li_fat_id'
+];
+
+// Remembers each link's original href, target and rel before a method touches it,
+// so changes can be undone exactly instead of leaving marker attributes in the DOM.
+// Also remembers href + class as the method left them, to tell its own writes apart from the page's.
+class LinkStateTracker {
+    constructor() {
+        // Keyed weakly, a link the page dropped takes its state with it
+        this.originals = new WeakMap();
+        // The links to restore, pruned of ones no longer in the document
+        this.tracked = new Set();
+        this.pruneAt = LinkStateTracker.PRUNE_MIN;
+    }
+    
+    has(link) {
+        return Boolean(this.state(link));
+    }
+    
+    get size() {
+        this.prune();
+        return this.tracked.size;
+    }
+    
+    links() {
+        this.prune();
+        return Array.from(this.tracked);
+    }
+    
+    // A pruned link the page put back is tracked again as soon as it's looked at
+    state(link) {
+        const original = this.originals.get(link);
+        if (original && !this.tracked.has(link) && link.isConnected) {
+            this.tracked.add(link);
+            LinkStateTracker.all.add(this);
+        }
+        return original;
+    }
+    
+    // Call before modifying the link, only the first snapshot is kept
+    record(link) {
+        if (!this.state(link)) {
+            const original = { applied: null };
+            LinkStateTracker.ATTRIBUTES.forEach(name => {
+                original[name] = link.getAttribute(name);
+            });
+            this.originals.set(link, original);
+            this.tracked.add(link);
+        }
+        
+        // Registered again after restoreAll() or forget(), when the method goes on modifying links
+        LinkStateTracker.all.add(this);
+        if (this.tracked.size >= this.pruneAt) {
+            this.prune();
+            this.pruneAt = Math.max(LinkStateTracker.PRUNE_MIN, this.tracked.size * 2);
+        }
+    }
+    
+    // Links removed from the document are not held on to. Their state stays in the WeakMap
+    // as long as something else keeps the element, in case it is inserted again
+    prune() {
+        this.tracked.forEach(link => {
+            if (!link.isConnected) {
+                this.tracked.delete(link);
+            }
+        });
+    }
+    
+    // Call once the method is done with the link
+    markApplied(link) {
+        const original = this.state(link);
+        if (original) {
+            original.applied = {
+                href: link.getAttribute('href'),
+                className: link.getAttribute('class')
+            };
+        }
+    }
+    
+    // False once the page changed href or class after the method handled the link
+    isApplied(link) {
+        const original = this.state(link);
+        return Boolean(original && original.applied) &&
+            original.applied.href === link.getAttribute('href') &&
+            original.applied.className === link.getAttribute('class');
+    }
+    
+    // Undo the method's changes to a link the page has since changed,
+    // keeping a new href from the page but not one the method wrote
+    revert(link) {
+        const original = this.state(link);
+        if (!original) {
+            return false;
+        }
+        
+        const keepHref = !original.applied || original.applied.href !== link.getAttribute('href');
+        return this.restore(link, { keepHref });
+    }
+    
+    // keepHref: the page has since changed href itself, only put the rest back
+    restore(link, { keepHref = false } = {}) {
+        const original = this.originals.get(link);
+        if (!original) {
+            return false;
+        }
+        
+        // Only write what differs, observers watching href would see a no-op write as a change
+        LinkStateTracker.ATTRIBUTES.filter(name => !keepHref || name !== 'href').forEach(name => {
+            if (link.getAttribute(name) === original[name]) {
+                return;
+            }
+            
+            if (original[name] === null) {
+                link.removeAttribute(name);
+            } else {
+                link.setAttribute(name, original[name]);
+            }
+        });
+        
+        this.originals.delete(link);
+        this.tracked.delete(link);
+        return true;
+    }
+    
+    // Returns the number of links put back, including removed ones not pruned yet.
+    // The tracker can go on being used
+    restoreAll() {
+        let restored = 0;
+        
+        Array.from(this.tracked).forEach(link => {
+            if (this.restore(link)) {
+                restored++;
+            }
+        });
+        
+        LinkStateTracker.all.delete(this);
+        return restored;
+    }
+    
+    // Drops every recorded state without touching the links, e.g. when the method is destroyed
+    forget() {
+        this.originals = new WeakMap();
+        this.tracked.clear();
+        LinkStateTracker.all.delete(this);
+    }
+}
+
+// Every tracker that still holds modified links, used by LinkModifierDebug.
+// A tracker joins on its first record() and leaves when it is restored or forgotten
+LinkStateTracker.all = new Set();
+
+// Tracked links are checked for removal once there are this many, then each time the count doubles
+LinkStateTracker.PRUNE_MIN = 1000;
+
+// Attributes the methods change, data-link-blocked is set by LinkSecurityGuard.disarm
+LinkStateTracker.ATTRIBUTES = ['href', 'target', 'rel', 'data-link-blocked'];
+
+// Tells assistive tech that a link opens a new tab (WCAG 3.2.5), either with
+// visually hidden text inside the link or aria-describedby to one shared description
+class NewTabAnnouncer {
+    constructor(options = {}) {
+        this.config = {
+            mode: 'text',          // 'text' or 'describedby'
+            locale: null,          // Defaults to the nearest lang attribute
+            messages: {},          // Extra or replacement translations, by language
+            icon: false,           // true or the icon text, added to external links
+            descriptionId: 'link-modifier-new-tab',
+            ...options
+        };
+        
+        this.messages = { ...NewTabAnnouncer.MESSAGES, ...this.config.messages };
+        // link -> { describedBy, nodes } to undo exactly what was added
+        this.annotated = new Map();
+    }
+    
+    getMessage(link) {
+        const langElement = link.closest('[lang]');
+        const locale = (this.config.locale || (langElement && langElement.getAttribute('lang')) || 'en').toLowerCase();
+        
+        return this.messages[locale] ||
+            this.messages[locale.split('-')[0]] ||
+            this.messages.en;
+    }
+    
+    // Text, aria-label or description that already mentions a new tab or window
+    isAnnounced(link) {
+        const texts = [link.textContent, link.getAttribute('aria-label') || ''];
+        const root = link.getRootNode();
+        
+        (link.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean).forEach(id => {
+            const description = root.getElementById ? root.getElementById(id) : null;
+            if (description) {
+                texts.push(description.textContent);
+            }
+        });
+        
+        const known = Object.keys(this.messages).map(locale => this.messages[locale].toLowerCase());
+        return texts.some(text => {
+            const lower = text.toLowerCase();
+            return /new (tab|window)/.test(lower) || known.some(message => lower.includes(message));
+        });
+    }
+    
+    annotate(link, { external = false } = {}) {
+        if (this.annotated.has(link) || link.getAttribute('target') !== '_blank') {
+            return false;
+        }
+        
+        const state = { describedBy: link.getAttribute('aria-describedby'), nodes: [] };
+        const doc = link.ownerDocument;
+        
+        if (this.config.icon && external && !link.querySelector('.link-modifier-icon')) {
+            const icon = doc.createElement('span');
+            icon.className = 'link-modifier-icon';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = this.config.icon === true ? '↗' : this.config.icon;
+            link.appendChild(icon);
+            state.nodes.push(icon);
+        }
+        
+        if (!this.isAnnounced(link)) {
+            const message = this.getMessage(link);
+            
+            if (this.config.mode === 'describedby') {
+                const ids = LinkPolicy.relTokens(state.describedBy);
+                ids.push(this.getDescription(link, message).id);
+                link.setAttribute('aria-describedby', ids.join(' '));
+            } else {
+                const text = doc.createElement('span');
+                text.className = 'link-modifier-sr-only';
+                text.textContent = ` (${message})`;
+                link.appendChild(text);
+                state.nodes.push(text);
+            }
+        }
+        
+        if (state.nodes.length === 0 && link.getAttribute('aria-describedby') === state.describedBy) {
+            return false;
+        }
+        
+        NewTabAnnouncer.injectStyles(link.getRootNode());
+        this.annotated.set(link, state);
+        return true;
+    }
+    
+    // One hidden description per message, in the link's own document or shadow root
+    // because ids do not reach across shadow boundaries
+    getDescription(link, message) {
+        const root = link.getRootNode();
+        const index = Object.values(this.messages).indexOf(message);
+        const id = `${this.config.descriptionId}-${index}`;
+        
+        let description = root.getElementById(id);
+        if (!description) {
+            description = link.ownerDocument.createElement('span');
+            description.id = id;
+            description.hidden = true;
+            description.textContent = message;
+            (root.body || root).appendChild(description);
+        }
+        
+        return description;
+    }
+    
+    restore(link) {
+        const state = this.annotated.get(link);
+        if (!state) {
+            return false;
+        }
+        
+        state.nodes.forEach(node => node.remove());
+        if (state.describedBy === null) {
+            link.removeAttribute('aria-describedby');
+        } else {
+            link.setAttribute('aria-describedby', state.describedBy);
+        }
+        
+        this.annotated.delete(link);
+        return true;
+    }
+    
+    restoreAll() {
+        const count = this.annotated.size;
+        Array.from(this.annotated.keys()).forEach(link => this.restore(link));
+        return count;
+    }
+    
+    static injectStyles(root) {
+        const container = root.head || root;
+        if (!container.querySelector || container.querySelector('#link-modifier-a11y-styles')) {
+            return;
+        }
+        
+        const style = (root.ownerDocument || root).createElement('style');
+        style.id = 'link-modifier-a11y-styles';
+        style.textContent = `
+            .link-modifier-sr-only {
+                position: absolute;
+                width: 1px;
+                height: 1px;
+                padding: 0;
+                margin: -1px;
+                overflow: hidden;
+                clip: rect(0, 0, 0, 0);
+                white-space: nowrap;
+                border: 0;
+            }
+            .link-modifier-icon {
+                margin-left: 0.25em;
+                font-size: 0.8em;
+            }
+        `;
+        container.appendChild(style);
+    }
+}
+
+NewTabAnnouncer.MESSAGES = {
+    en: 'opens in a new tab',
+    hi: 'नए टैब में खुलता है',
+    es: 'se abre en una pestaña nueva',
+    fr: 's\'ouvre dans un nouvel onglet',
+    de: 'öffnet sich in einem neuen Tab',
+    pt: 'abre em uma nova aba'
+};
+
+// Collects links from MutationObserver records and processes them in idle time,
+// so a burst of insertions costs one pass instead of a full rescan per mutation
+class LinkMutationBatcher {
+    constructor(options = {}) {
+        this.config = {
+            targetSelector: 'a[href]',
+            attributeFilter: ['href', 'class'], // Link attributes that can change the policy decision
+            inheritedAttributes: [], // Attributes on any element that change the decision for the links inside
+            idle: true,        // false processes everything inside the observer callback
+            idleTimeout: 200,  // Longest wait for an idle period (ms)
+            frameBudget: 8,    // Work per chunk when requestIdleCallback is not available (ms)
+            onLink: null,      // (link, { attributeChanged, inheritedChanged }) for every queued link
+            onNode: null,      // Every added element, before its links are queued
+            onFlushStart: null,
+            ...options
+        };
+        
+        this.observers = [];
+        // Plain arrays with a read position: draining a Set/Map from the front
+        // leaves deleted entries that every later iteration has to skip over
+        this.nodeQueue = [];
+        this.nodeIndex = 0;
+        this.linkQueue = [];
+        this.linkIndex = 0;
+        this.queuedLinks = new Map(); // link -> { attributeChanged, inheritedChanged }
+        // Queued nodes whose inherited attributes changed, rather than being added
+        this.changedContainers = new Set();
+        this.cancelScheduled = null;
+        this.idleResolvers = [];
+        this.stats = { flushes: 0, links: 0, totalTime: 0, longestFlush: 0 };
+    }
+    
+    observe(target) {
+        const observer = new MutationObserver(mutations => this.collect(mutations));
+        observer.observe(target, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: [...this.config.attributeFilter, ...this.config.inheritedAttributes]
+        });
+        
+        this.observers.push(observer);
+        return observer;
+    }
+    
+    unobserve(observer) {
+        observer.disconnect();
+        this.observers = this.observers.filter(candidate => candidate !== observer);
+    }
+    
+    collect(mutations) {
+        mutations.forEach(mutation => {
+            if (mutation.type === 'childList') {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        this.nodeQueue.push(node);
+                    }
+                });
+            } else if (mutation.type === 'attributes') {
+                if (this.config.inheritedAttributes.includes(mutation.attributeName)) {
+                    this.changedContainers.add(mutation.target);
+                    this.nodeQueue.push(mutation.target);
+                } else if (mutation.target.tagName === 'A') {
+                    this.queueLink(mutation.target, true);
+                }
+            }
+        });
+        
+        if (this.config.idle) {
+            this.schedule();
+        } else {
+            this.flush(null, true);
+        }
+    }
+    
+    queueLink(link, attributeChanged, inheritedChanged = false) {
+        const queued = this.queuedLinks.get(link);
+        
+        if (queued) {
+            queued.attributeChanged = queued.attributeChanged || attributeChanged;
+            queued.inheritedChanged = queued.inheritedChanged || inheritedChanged;
+        } else {
+            this.queuedLinks.set(link, { attributeChanged, inheritedChanged });
+            this.linkQueue.push(link);
+        }
+    }
+    
+    get pendingCount() {
+        return (this.nodeQueue.length - this.nodeIndex) + (this.linkQueue.length - this.linkIndex);
+    }
+    
+    schedule() {
+        if (this.cancelScheduled) {
+            return;
+        }
+        
+        if (typeof requestIdleCallback === 'function') {
+            const id = requestIdleCallback(deadline => this.flush(deadline), { timeout: this.config.idleTimeout });
+            this.cancelScheduled = () => cancelIdleCallback(id);
+        } else {
+            const id = setTimeout(() => this.flush(null), 0);
+            this.cancelScheduled = () => clearTimeout(id);
+        }
+    }
+    
+    flush(deadline, all = false) {
+        this.cancelScheduled = null;
+        
+        const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+        const started = now();
+        const outOfTime = () => {
+            if (all) return false;
+            if (deadline && !deadline.didTimeout) return deadline.timeRemaining() < 1;
+            return now() - started > this.config.frameBudget;
+        };
+        
+        if (this.config.onFlushStart) {
+            this.config.onFlushStart();
+        }
+        
+        // Expand added subtrees into links first
+        while (this.nodeIndex < this.nodeQueue.length) {
+            const node = this.nodeQueue[this.nodeIndex++];
+            const changed = this.changedContainers.delete(node);
+            
+            if (this.config.onNode && !changed) {
+                this.config.onNode(node);
+            }
+            
+            if (node.matches && node.matches(this.config.targetSelector)) {
+                this.queueLink(node, changed, changed);
+            }
+            // Most added nodes in a feed are the links themselves
+            if (node.firstElementChild) {
+                node.querySelectorAll(this.config.targetSelector).forEach(link => this.queueLink(link, changed, changed));
+            }
+            
+            if (outOfTime()) break;
+        }
+        
+        if (this.nodeIndex === this.nodeQueue.length) {
+            while (this.linkIndex < this.linkQueue.length) {
+                const link = this.linkQueue[this.linkIndex++];
+                const { attributeChanged, inheritedChanged } = this.queuedLinks.get(link);
+                
+                this.queuedLinks.delete(link);
+                this.config.onLink(link, { attributeChanged, inheritedChanged });
+                this.stats.links++;
+                
+                if (outOfTime()) break;
+            }
+        }
+        
+        this.compactQueues();
+        
+        const elapsed = now() - started;
+        this.stats.flushes++;
+        this.stats.totalTime += elapsed;
+        this.stats.longestFlush = Math.max(this.stats.longestFlush, elapsed);
+        
+        if (this.pendingCount > 0) {
+            this.schedule();
+        } else {
+            this.idleResolvers.splice(0).forEach(resolve => resolve(this.stats));
+        }
+    }
+    
+    compactQueues() {
+        if (this.nodeIndex === this.nodeQueue.length) {
+            this.nodeQueue = [];
+            this.nodeIndex = 0;
+        }
+        
+        if (this.linkIndex === this.linkQueue.length) {
+            this.linkQueue = [];
+            this.linkIndex = 0;
+        }
+    }
+    
+    // Process everything queued (including undelivered records) right now
+    flushNow() {
+        this.takeRecords();
+        if (this.cancelScheduled) {
+            this.cancelScheduled();
+        }
+        this.flush(null, true);
+    }
+    
+    // Resolves with the stats once the queue is empty
+    whenIdle() {
+        this.takeRecords();
+        
+        if (this.pendingCount === 0) {
+            return Promise.resolve(this.stats);
+        }
+        
+        return new Promise(resolve => this.idleResolvers.push(resolve));
+    }
+    
+    // Pull undelivered records now, { discard: true } drops them instead
+    takeRecords({ discard = false } = {}) {
+        this.observers.forEach(observer => {
+            const records = observer.takeRecords();
+            if (records.length > 0 && !discard) {
+                this.collect(records);
+            }
+        });
+    }
+    
+    disconnect() {
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers = [];
+        
+        if (this.cancelScheduled) {
+            this.cancelScheduled();
+            this.cancelScheduled = null;
+        }
+        
+        this.nodeQueue = [];
+        this.nodeIndex = 0;
+        this.linkQueue = [];
+        this.linkIndex = 0;
+        this.queuedLinks.clear();
+        this.changedContainers.clear();
+        this.idleResolvers.splice(0).forEach(resolve => resolve(this.stats));
+    }
+}
+
+// Decodes IDN hostnames (xn--...) for display, following RFC 3492
+const Punycode = {
+    BASE: 36,
+    T_MIN: 1,
+    T_MAX: 26,
+    SKEW: 38,
+    DAMP: 700,
+    INITIAL_BIAS: 72,
+    INITIAL_N: 128,
+    
+    adapt(delta, numPoints, firstTime) {
+        const { BASE, T_MIN, T_MAX, SKEW, DAMP } = Punycode;
+        let k = 0;
+        
+        delta = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+        delta += Math.floor(delta / numPoints);
+        
+        while (delta > ((BASE - T_MIN) * T_MAX) >> 1) {
+            delta = Math.floor(delta / (BASE - T_MIN));
+            k += BASE;
+        }
+        
+        return k + Math.floor(((BASE - T_MIN + 1) * delta) / (delta + SKEW));
+    },
+    
+    digitValue(code) {
+        if (code >= 0x30 && code <= 0x39) return code - 0x30 + 26; // 0-9
+        if (code >= 0x41 && code <= 0x5A) return code - 0x41;      // A-Z
+        if (code >= 0x61 && code <= 0x7A) return code - 0x61;      // a-z
+        return Punycode.BASE;
+    },
+    
+    // Decode one label without its "xn--" prefix
+    decode(input) {
+        const { BASE, T_MIN, T_MAX } = Punycode;
+        const output = [];
+        const basicLength = Math.max(input.lastIndexOf('-'), 0);
+        
+        for (let j = 0; j < basicLength; j++) {
+            if (input.charCodeAt(j) >= 0x80) {
+                throw new Error('Invalid punycode');
+            }
+            output.push(input.charCodeAt(j));
+        }
+        
+        let n = Punycode.INITIAL_N;
+        let bias = Punycode.INITIAL_BIAS;
+        let i = 0;
+        
+        for (let index = basicLength > 0 ? basicLength + 1 : 0; index < input.length;) {
+            const oldI = i;
+            let weight = 1;
+            
+            for (let k = BASE; ; k += BASE) {
+                if (index >= input.length) {
+                    throw new Error('Invalid punycode');
+                }
+                
+                const digit = Punycode.digitValue(input.charCodeAt(index++));
+                if (digit >= BASE) {
+                    throw new Error('Invalid punycode');
+                }
+                
+                i += digit * weight;
+                const t = k <= bias ? T_MIN : (k >= bias + T_MAX ? T_MAX : k - bias);
+                if (digit < t) {
+                    break;
+                }
+                weight *= BASE - t;
+            }
+            
+            const length = output.length + 1;
+            bias = Punycode.adapt(i - oldI, length, oldI === 0);
+            n += Math.floor(i / length);
+            i %= length;
+            output.splice(i++, 0, n);
+        }
+        
+        return String.fromCodePoint(...output);
+    },
+    
+    // 'xn--mnchen-3ya.de' -> 'münchen.de', labels that fail to decode are kept as they are
+    toUnicode(host) {
+        return host.split('.').map(label => {
+            if (!/^xn--/i.test(label)) {
+                return label;
+            }
+            
+            try {
+                return Punycode.decode(label.slice(4).toLowerCase());
+            } catch (e) {
+                return label;
+            }
+        }).join('.');
+    }
+};
+
+// METHOD 1: Pure JavaScript - Add to existing HTML page
+// Add this script before closing </body> tag or in a separate JS file
+
+(function() {
+    'use strict';
+    
+    // Configuration options
+    const CONFIG = {
+        // Target all links or specific selectors
+        targetSelector: 'a[href]', // Can be 'a', 'a[href^="http"]', etc.
+        
+        // Extra links to leave alone, on top of LinkPolicy.DEFAULT_RULES
+        // (anchors, mailto:, tel:, javascript:, downloads, .no-new-tab)
+        excludeSelectors: [],
+        
+        // Ordered policy rules, see SHARED LINK POLICY ENGINE
+        rules: [],
+        
+        // Add security attributes
+        addSecurity: true,
+        
+        // Log modifications (for debugging)
+        enableLogging: false
+    };
+
+    // Original target/rel of every link this script changed
+    let tracker = new LinkStateTracker();
+    // Watches for new links and href/class changes once initialized
+    let batcher = null;
+
+    // CONFIG is public, so build the policy from its current values
+    function getPolicy() {
+        return LinkPolicy.fromOptions(CONFIG);
+    }
+
+    // Apply the policy to one link, returns true if it was changed
+    function modifyLink(link, policy) {
+        // Skip if already modified
+        if (tracker.has(link)) {
+            return false;
+        }
+        
+        const decision = policy.evaluate(link);
+        if (decision.action === 'skip') {
+            policy.report(decision);
+            return false;
+        }
+        
+        tracker.record(link);
+        policy.apply(link, decision);
+        tracker.markApplied(link);
+        
+        if (CONFIG.enableLogging) {
+            console.log(`Modified link: ${link.href}`);
+        }
+        
+        return true;
+    }
+
+    // Function to modify existing links
+    function modifyExistingLinks() {
+        const links = document.querySelectorAll(CONFIG.targetSelector);
+        const policy = getPolicy();
+        let modifiedCount = 0;
+        
+        links.forEach(link => {
+            if (modifyLink(link, policy)) {
+                modifiedCount++;
+            }
+        });
+        
+        if (CONFIG.enableLogging) {
+            console.log(`Total links modified: ${modifiedCount}`);
+        }
+        
+        return modifiedCount;
+    }
+    
+    // Observe for dynamically added links and href/class changes
+    function observeDynamicLinks() {
+        let policy = null;
+        
+        batcher = new LinkMutationBatcher({
+            targetSelector: CONFIG.targetSelector,
+            onFlushStart: () => {
+                policy = getPolicy();
+            },
+            onLink: (link, { attributeChanged }) => {
+                // The old decision may be stale, start again from the authored attributes
+                if (attributeChanged) {
+                    if (tracker.isApplied(link)) {
+                        return;
+                    }
+                    tracker.revert(link);
+                }
+                
+                if (link.matches(CONFIG.targetSelector)) {
+                    modifyLink(link, policy);
+                }
+            }
+        });
+        
+        batcher.observe(document.body);
+        return batcher;
+    }
+    
+    // Put every modified link back the way it was
+    function restoreLinks() {
+        const restored = tracker.restoreAll();
+        
+        // Putting disarmed hrefs back must not look like the page changing them
+        if (batcher) {
+            batcher.takeRecords({ discard: true });
+        }
+        
+        tracker = new LinkStateTracker();
+        return restored;
+    }
+    
+    // Initialize when DOM is ready
+    function initialize() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', function() {
+                modifyExistingLinks();
+                observeDynamicLinks();
+            });
+        } else {
+            modifyExistingLinks();
+            observeDynamicLinks();
+        }
+    }
+    
+    // Nothing to modify when loaded in Node (see METHOD 11)
+    if (typeof window === 'undefined' || typeof document === 'undefined') {
+        return;
+    }
+    
+    // Public API
+    window.HyperlinkModifier = {
+        init: initialize,
+        modifyExisting: modifyExistingLinks,
+        restore: restoreLinks,
+        config: CONFIG
+    };
+    
+    // Auto-initialize, unless loaded with <script src="index.js" data-auto-init="false">
+    // or after setting LINK_MODIFIER_AUTO_INIT = false (content scripts have no currentScript)
+    const script = document.currentScript;
+    const disabled = window.LINK_MODIFIER_AUTO_INIT === false ||
+        (script && script.getAttribute('data-auto-init') === 'false');
+    if (!disabled) {
+        initialize();
+    }
+})();
+
+// ==================================================
+// METHOD 2: React Hook for React Applications
+// ==================================================
+
+// Global React on plain pages, the package when bundled
+function getReact() {
+    if (typeof React !== 'undefined') {
+        return React;
+    }
+    return require('react');
+}
+
+// App-wide defaults for the hook and <ExternalLink>, created on first use
+let linkOptionsContext = null;
+
+function getLinkOptionsContext() {
+    if (!linkOptionsContext) {
+        linkOptionsContext = getReact().createContext({});
+    }
+    return linkOptionsContext;
+}
+
+// Options are usually written inline, so compare them by value instead of identity.
+// Functions and policies have no useful value, they compare by identity.
+const linkOptionIds = new WeakMap();
+let nextLinkOptionId = 1;
+
+function linkOptionsKey(options) {
+    return JSON.stringify(options, (key, value) => {
+        if (value instanceof RegExp) {
+            return `/${value.source}/${value.flags}`;
+        }
+        if (typeof value === 'function' || value instanceof LinkPolicy) {
+            if (!linkOptionIds.has(value)) {
+                linkOptionIds.set(value, `#${nextLinkOptionId++}`);
+            }
+            return linkOptionIds.get(value);
+        }
+        return value;
+    });
+}
+
+// Merges its options over the ones of any provider above it
+function LinkOptionsProvider({ children, ...options }) {
+    const { createElement, useContext, useMemo } = getReact();
+    const context = getLinkOptionsContext();
+    const parent = useContext(context);
+    const key = linkOptionsKey(options);
+    const value = useMemo(() => ({ ...parent, ...options }), [parent, key]);
+    
+    return createElement(context.Provider, { value }, children);
+}
+
+function useLinkOptions(options) {
+    const { useContext, useMemo } = getReact();
+    const defaults = useContext(getLinkOptionsContext());
+    const merged = { ...defaults, ...options };
+    const key = linkOptionsKey(merged);
+    
+    return useMemo(() => merged, [key]);
+}
+
+// Custom React hook to modify the links inside a container.
+// useNewTabLinks(options) without a ref still manages the whole document.
+function useNewTabLinks(ref, options = {}) {
+    if (!ref || !('current' in ref)) {
+        options = ref || {};
+        ref = null;
+    }
+    
+    const linkOptions = useLinkOptions(options);
+    
+    getReact().useEffect(() => {
+        const container = ref ? ref.current : document.body;
+        if (!container) {
+            return undefined;
+        }
+        
+        const policy = LinkPolicy.fromOptions(linkOptions);
+        const tracker = new LinkStateTracker();
+        
+        const modifyLink = (link) => {
+            if (tracker.has(link)) {
+                return false;
+            }
+            
+            const decision = policy.evaluate(link);
+            if (decision.action === 'skip') {
+                policy.report(decision);
+                return false;
+            }
+            
+            tracker.record(link);
+            policy.apply(link, decision);
+            tracker.markApplied(link);
+            return true;
+        };
+        
+        // Initial modification
+        let modifiedCount = 0;
+        const links = [...container.querySelectorAll('a[href]')];
+        if (container.matches && container.matches('a[href]')) {
+            links.unshift(container);
+        }
+        links.forEach(link => {
+            if (modifyLink(link)) {
+                modifiedCount++;
+            }
+        });
+        
+        if (linkOptions.enableLogging) {
+            console.log(`React: Modified ${modifiedCount} links`);
+        }
+        
+        // Only links that were added or changed, instead of rescanning the container
+        const batcher = new LinkMutationBatcher({
+            onLink: (link, { attributeChanged }) => {
+                if (attributeChanged) {
+                    if (tracker.isApplied(link)) {
+                        return;
+                    }
+                    tracker.revert(link);
+                }
+                
+                if (link.matches('a[href]')) {
+                    modifyLink(link);
+                }
+            }
+        });
+        batcher.observe(container);
+        
+        // Runs on unmount and before re-applying with new options
+        return () => {
+            batcher.disconnect();
+            tracker.restoreAll();
+        };
+    }, [ref, linkOptions]);
+}
+
+// target/rel the policy would give a link with these props, without a DOM,
+// so server rendering and hydration agree. Set baseUrl when rendering on a server.
+function resolveLinkAttributes(policy, props) {
+    const link = new HtmlTagElement('', 'a', []);
+    
+    Object.keys(props).forEach(name => {
+        const value = props[name];
+        const attribute = name === 'className' ? 'class' : name;
+        
+        if (value === true) {
+            link.setAttribute(attribute, '');
+        } else if (typeof value === 'string' || typeof value === 'number') {
+            link.setAttribute(attribute, value);
+        }
+    });
+    
+    policy.apply(link);
+    
+    // href too, security mode may upgrade or remove it
+    return {
+        href: link.getAttribute('href') || undefined,
+        target: link.getAttribute('target') || undefined,
+        rel: link.getAttribute('rel') || undefined,
+        'data-link-blocked': link.getAttribute('data-link-blocked') || undefined
+    };
+}
+
+// Renders the right target/rel up front instead of fixing them after mount
+function ExternalLink({ linkOptions: options, children, ...props }) {
+    const { createElement, useMemo } = getReact();
+    const linkOptions = useLinkOptions(options);
+    const policy = useMemo(() => LinkPolicy.fromOptions(linkOptions), [linkOptions]);
+    
+    return createElement('a', { ...props, ...resolveLinkAttributes(policy, props) }, children);
+}
+
+// Usage in React components:
+// function Article({ html }) {
+//     const ref = React.useRef(null);
+//     useNewTabLinks(ref, { excludeSelectors: ['.footnote'] });
+//     return <div ref={ref} dangerouslySetInnerHTML={{ __html: html }} />;
+// }
+//
+// <LinkOptionsProvider excludePatterns={[/partner\.com/]} enableLogging>
+//     <Article html={html} />
+//     <ExternalLink href="https://example.com">Example</ExternalLink>
+// </LinkOptionsProvider>
+
+// ==================================================
+// METHOD 3: jQuery Version (if jQuery is available)
+// ==================================================
+
+function modifyLinksWithJQuery(options = {}) {
+    const policy = LinkPolicy.fromOptions(options);
+    const tracker = new LinkStateTracker();
+    
+    $(document).ready(function() {
+        // Modify existing links
+        function updateLinks() {
+            $('a[href]').each(function() {
+                if (tracker.has(this)) {
+                    return;
+                }
+                
+                const decision = policy.evaluate(this);
+                if (decision.action !== 'skip') {
+                    tracker.record(this);
+                }
+                policy.apply(this, decision);
+            });
+        }
+        
+        // Initial update
+        updateLinks();
+        
+        // Update on dynamic content
+        $(document).on('DOMNodeInserted', updateLinks);
+    });
+    
+    return tracker;
+}
+
+// ==================================================
+// METHOD 4: CSS-only Solution (Limited functionality)
+// ==================================================
+
+/*
+Add this CSS to your stylesheet:
+This only works for links you can target with CSS selectors.
+Screen readers do not announce the arrow, use the LinkModifier accessibility
+option (see NewTabAnnouncer) when links really open a new tab.
+
+a[href]:not([href^="#"]):not([href^="mailto:"]):not([href^="tel:"]) {
+    // CSS can't set target="_blank", but you can style differently
+    position: relative;
+}
+
+a[href]:not([href^="#"]):not([href^="mailto:"]):not([href^="tel:"])::after {
+    content: " ↗";
+    font-size: 0.8em;
+    opacity: 0.7;
+}
+*/
+
+// ==================================================
+// METHOD 5: Event Delegation Approach
+// ==================================================
+
+// Options:
+//   ...any LinkPolicy options (rules, excludeSelectors, ...)
+//   interstitial: true or { allowlist, storageKey, messages } to confirm before leaving the site
+// Returns { policy, interstitial, remove } so the listener can be taken off again
+function setupEventDelegation(options = {}) {
+    const policy = LinkPolicy.fromOptions(options);
+    const interstitial = options.interstitial
+        ? new ExternalLinkInterstitial(options.interstitial === true ? {} : options.interstitial)
+        : null;
+    
+    function open(link, decision) {
+        if (decision.action === 'new-tab') {
+            window.open(link.href, '_blank', 'noopener,noreferrer');
+        } else {
+            window.location.assign(link.href);
+        }
+    }
+    
+    // Also runs for auxclick, a middle-click opens the link without a click event
+    function onClick(event) {
+        // Check if clicked element is a link
+        const link = event.target.closest('a[href]');
+        
+        if (!link) return;
+        
+        // Other buttons don't follow links
+        const middleClick = event.type === 'auxclick';
+        if (middleClick && event.button !== 1) return;
+        
+        const decision = policy.evaluate(link);
+        if (decision.action === 'skip') {
+            policy.report(decision);
+            return;
+        }
+        
+        // Security mode: the link is never followed
+        if (decision.action === 'block') {
+            event.preventDefault();
+            policy.report(decision);
+            return;
+        }
+        
+        // Outbound links wait for the visitor to confirm
+        if (interstitial && decision.external && interstitial.shouldConfirm(decision.url)) {
+            event.preventDefault();
+            
+            // Middle and Ctrl/Cmd/Shift clicks asked for a new tab, they still get one
+            const newTab = middleClick || event.ctrlKey || event.metaKey || event.shiftKey;
+            interstitial.confirm(decision.url, link).then(confirmed => {
+                if (confirmed) {
+                    open(link, newTab ? { ...decision, action: 'new-tab' } : decision);
+                }
+            });
+            return;
+        }
+        
+        // Only take over links the policy sends to a new tab, the browser opens one for a middle-click itself
+        if (middleClick || decision.action !== 'new-tab') {
+            return;
+        }
+        
+        // Prevent default behavior
+        event.preventDefault();
+        
+        // Open in new tab/window
+        open(link, decision);
+    }
+    
+    document.addEventListener('click', onClick);
+    document.addEventListener('auxclick', onClick);
+    
+    return {
+        policy,
+        interstitial,
+        remove() {
+            document.removeEventListener('click', onClick);
+            document.removeEventListener('auxclick', onClick);
+            if (interstitial) {
+                interstitial.close(false);
+            }
+        }
+    };
+}
+
+// "You are leaving this site" confirmation dialog for outbound links
+class ExternalLinkInterstitial {
+    constructor(options = {}) {
+        this.config = {
+            allowlist: [],   // Host globs that never need confirmation, e.g. '*.example.com'
+            storageKey: 'linkModifier.trustedHosts', // localStorage key for "don't ask again"
+            ...options,
+            messages: {
+                title: 'You are leaving this site',
+                description: 'This link goes to an external website:',
+                remember: "Don't ask again for this domain",
+                continue: 'Continue',
+                cancel: 'Cancel',
+                ...(options.messages || {})
+            }
+        };
+        
+        this.dialog = null;
+        this.resolve = null;
+        this.returnFocus = null;
+        this.onKeydown = (event) => this.handleKeydown(event);
+    }
+    
+    shouldConfirm(url) {
+        if (!url || !/^https?:$/.test(url.protocol)) {
+            return false;
+        }
+        
+        const host = url.hostname.toLowerCase();
+        if (this.config.allowlist.length > 0 && LinkPolicy.testPatterns(this.config.allowlist, host, { ignoreCase: true })) {
+            return false;
+        }
+        
+        return !this.getTrustedHosts().includes(host);
+    }
+    
+    getTrustedHosts() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.config.storageKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            return [];
+        }
+    }
+    
+    remember(host) {
+        const hosts = this.getTrustedHosts();
+        if (hosts.includes(host)) {
+            return;
+        }
+        
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify([...hosts, host]));
+        } catch (e) {
+            // Storage full or disabled, ask again next time
+        }
+    }
+    
+    forgetAll() {
+        try {
+            localStorage.removeItem(this.config.storageKey);
+        } catch (e) {
+            // Nothing stored
+        }
+    }
+    
+    // Resolves true for Continue, false for Cancel/Escape
+    confirm(url, returnFocus = document.activeElement) {
+        if (this.dialog) {
+            return Promise.resolve(false);
+        }
+        
+        this.returnFocus = returnFocus;
+        this.dialog = this.render(url);
+        document.body.appendChild(this.dialog);
+        document.addEventListener('keydown', this.onKeydown, true);
+        
+        // Cancel is the safe default
+        this.dialog.querySelector('[data-action="cancel"]').focus();
+        
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+    
+    close(confirmed) {
+        if (!this.dialog) {
+            return;
+        }
+        
+        const checkbox = this.dialog.querySelector('input[type="checkbox"]');
+        if (confirmed && checkbox.checked) {
+            this.remember(this.dialog.getAttribute('data-host'));
+        }
+        
+        document.removeEventListener('keydown', this.onKeydown, true);
+        this.dialog.remove();
+        this.dialog = null;
+        
+        if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+        
+        const resolve = this.resolve;
+        this.resolve = null;
+        if (resolve) {
+            resolve(confirmed);
+        }
+    }
+    
+    render(url) {
+        ExternalLinkInterstitial.injectStyles();
+        
+        const { messages } = this.config;
+        const id = `link-interstitial-${Date.now()}`;
+        const overlay = document.createElement('div');
+        overlay.className = 'link-interstitial';
+        overlay.setAttribute('data-host', url.hostname.toLowerCase());
+        
+        const dialog = document.createElement('div');
+        dialog.className = 'link-interstitial-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', `${id}-title`);
+        dialog.setAttribute('aria-describedby', `${id}-description`);
+        
+        const title = document.createElement('h2');
+        title.id = `${id}-title`;
+        title.textContent = messages.title;
+        
+        const description = document.createElement('p');
+        description.id = `${id}-description`;
+        description.textContent = messages.description;
+        
+        // Show the decoded host so lookalike IDN domains are visible for what they are
+        const host = document.createElement('p');
+        host.className = 'link-interstitial-host';
+        host.textContent = Punycode.toUnicode(url.hostname);
+        
+        const remember = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        remember.appendChild(checkbox);
+        remember.appendChild(document.createTextNode(` ${messages.remember}`));
+        
+        const actions = document.createElement('div');
+        actions.className = 'link-interstitial-actions';
+        
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'btn btn-secondary';
+        cancel.setAttribute('data-action', 'cancel');
+        cancel.textContent = messages.cancel;
+        cancel.addEventListener('click', () => this.close(false));
+        
+        const proceed = document.createElement('button');
+        proceed.type = 'button';
+        proceed.className = 'btn btn-primary';
+        proceed.setAttribute('data-action', 'continue');
+        proceed.textContent = messages.continue;
+        proceed.addEventListener('click', () => this.close(true));
+        
+        actions.appendChild(cancel);
+        actions.appendChild(proceed);
+        
+        [title, description, host, remember, actions].forEach(child => dialog.appendChild(child));
+        overlay.appendChild(dialog);
+        
+        // Clicking the backdrop cancels
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) {
+                this.close(false);
+            }
+        });
+        
+        return overlay;
+    }
+    
+    handleKeydown(event) {
+        if (!this.dialog) {
+            return;
+        }
+        
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close(false);
+            return;
+        }
+        
+        if (event.key !== 'Tab') {
+            return;
+        }
+        
+        // Keep focus inside the dialog
+        const focusable = Array.from(this.dialog.querySelectorAll('button, input'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const inside = this.dialog.contains(document.activeElement);
+        
+        if (event.shiftKey && (document.activeElement === first || !inside)) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (document.activeElement === last || !inside)) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+    
+    static injectStyles() {
+        if (document.getElementById('link-interstitial-styles')) {
+            return;
+        }
+        
+        const style = document.createElement('style');
+        style.id = 'link-interstitial-styles';
+        style.textContent = `
+            .link-interstitial {
+                position: fixed;
+                inset: 0;
+                background: rgba(0, 0, 0, 0.5);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 10000;
+            }
+            .link-interstitial-dialog {
+                background: white;
+                color: #1a1a1a;
+                border-radius: 16px;
+                padding: 2rem;
+                max-width: 420px;
+                width: calc(100% - 2rem);
+                box-shadow: 0 20px 40px rgba(0, 0, 0, 0.2);
+            }
+            .link-interstitial-dialog h2 {
+                margin-bottom: 0.5rem;
+            }
+            .link-interstitial-host {
+                font-weight: 700;
+                word-break: break-all;
+                margin: 0.5rem 0 1rem;
+            }
+            .link-interstitial-actions {
+                display: flex;
+                justify-content: flex-end;
+                gap: 1rem;
+                margin-top: 1.5rem;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+// ==================================================
+// METHOD 6: Framework-Agnostic Solution with Advanced Options
+// ==================================================
+
+class LinkModifier {
+    constructor(options = {}) {
+        this.config = {
+            autoInit: true,
+            metaConfig: true,   // Read <meta name="link-policy" content="{...}">, options passed here win
+            declarative: true,  // Honour data-link-policy="new-tab|same-tab|skip" and data-link-rel on containers
+            targetSelector: 'a[href]',
+            // Extra exclusions on top of LinkPolicy.DEFAULT_RULES
+            // (anchors, mailto:, tel:, javascript:, downloads, .no-new-tab, .internal-link)
+            excludePatterns: [],
+            excludeClasses: [],
+            rules: [],      // Ordered policy rules, see SHARED LINK POLICY ENGINE
+            policy: null,   // Or pass a ready-made LinkPolicy
+            security: null, // true or { trustedDomains, mixedContent, onThreat, ... }, see LinkSecurityGuard
+            addSecurityAttributes: true,
+            enableLogging: false,
+            includeShadowRoots: false, // Also handle links inside open shadow roots
+            includeIframes: false,     // Also handle links inside same-origin iframes
+            batchMutations: true,      // Process observed changes in idle time instead of immediately
+            idleTimeout: 200,          // Longest wait for idle time (ms)
+            tracking: null,            // { endpoint, ... } to record outbound clicks, see METHOD 12
+            urlRewrite: null,          // { decorate, strip } for external hrefs, see LinkUrlRewriter
+            accessibility: null,       // true or { mode, locale, messages, icon }, see NewTabAnnouncer
+            onLinkModified: null, // Callback function, called with (link, { root, rootCount, totalCount })
+            ...(options.metaConfig === false ? {} : LinkModifier.readMetaConfig()),
+            ...options
+        };
+        
+        this.policy = LinkPolicy.fromOptions(this.config);
+        this.urlRewriter = this.config.urlRewrite ? new LinkUrlRewriter(this.config.urlRewrite) : null;
+        this.tracker = new LinkStateTracker();
+        this.announcer = this.config.accessibility
+            ? new NewTabAnnouncer(this.config.accessibility === true ? {} : this.config.accessibility)
+            : null;
+        this.observer = null;
+        this.modifiedCount = 0;
+        
+        // document, shadow roots and iframe documents -> { observer, count }
+        this.roots = new Map();
+        // iframe -> { onLoad, document }
+        this.iframes = new Map();
+        this.unwatchShadowRoots = null;
+        this.clickTracking = null;
+        
+        // Every root's observer feeds the same queue
+        this.batcher = new LinkMutationBatcher({
+            targetSelector: this.config.targetSelector,
+            idle: this.config.batchMutations,
+            idleTimeout: this.config.idleTimeout,
+            inheritedAttributes: this.config.declarative ? LinkPolicy.DECLARATIVE_ATTRIBUTES : [],
+            onLink: (link, { attributeChanged, inheritedChanged }) => {
+                if (!attributeChanged) {
+                    this.modifyLink(link);
+                } else if (inheritedChanged || !this.tracker.isApplied(link)) {
+                    this.refreshLink(link);
+                }
+            },
+            onNode: (node) => this.attachNestedRoots(node)
+        });
+        
+        if (this.config.autoInit) {
+            this.init();
+        }
+    }
+    
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.modifyAllLinks());
+        } else {
+            this.modifyAllLinks();
+        }
+        
+        this.startObserving();
+        
+        if (this.config.tracking && !this.clickTracking) {
+            this.clickTracking = new OutboundClickTracker({ policy: this.policy, ...this.config.tracking });
+            this.clickTracking.start();
+        }
+    }
+    
+    modifyAllLinks() {
+        this.modifyLinksIn(document);
+        this.attachNestedRoots(document);
+        
+        if (this.config.enableLogging) {
+            console.log(`LinkModifier: Modified ${this.modifiedCount} links`);
+        }
+    }
+    
+    modifyLinksIn(root) {
+        root.querySelectorAll(this.config.targetSelector).forEach(link => this.modifyLink(link));
+    }
+    
+    modifyLink(link) {
+        if (this.tracker.has(link)) {
+            return false;
+        }
+        
+        const decision = this.policy.evaluate(link);
+        if (decision.action === 'skip') {
+            this.policy.report(decision);
+            return false;
+        }
+        
+        // Remember the authored href/target/rel, then set target and merge rel tokens
+        this.tracker.record(link);
+        this.policy.apply(link, decision);
+        
+        const rewrittenHref = this.urlRewriter ? this.urlRewriter.rewrite(decision) : null;
+        if (rewrittenHref) {
+            link.setAttribute('href', rewrittenHref);
+        }
+        
+        if (this.announcer) {
+            this.announcer.annotate(link, decision);
+        }
+        
+        this.tracker.markApplied(link);
+        this.modifiedCount++;
+        
+        const root = link.getRootNode();
+        const entry = this.getRootEntry(root);
+        entry.count++;
+        
+        // Call callback if provided
+        if (this.config.onLinkModified) {
+            this.config.onLinkModified(link, {
+                root,
+                rootCount: entry.count,
+                totalCount: this.modifiedCount
+            });
+        }
+        
+        return true;
+    }
+    
+    // Re-evaluate a link whose href or class changed after it was handled
+    refreshLink(link) {
+        if (this.announcer) {
+            this.announcer.restore(link);
+        }
+        
+        // A new href from the page replaces the authored one, ours gets undone
+        if (this.tracker.revert(link)) {
+            this.modifiedCount--;
+            this.getRootEntry(link.getRootNode()).count--;
+        }
+        
+        if (!link.matches(this.config.targetSelector)) {
+            return false;
+        }
+        
+        return this.modifyLink(link);
+    }
+    
+    shouldExcludeLink(link) {
+        return this.policy.evaluate(link).action === 'skip';
+    }
+    
+    isExternalLink(link) {
+        return this.policy.isExternal(link);
+    }
+    
+    getRootEntry(root) {
+        if (!this.roots.has(root)) {
+            this.roots.set(root, { observer: null, count: 0 });
+        }
+        return this.roots.get(root);
+    }
+    
+    // Modified link counts for every root handled so far
+    getRootCounts() {
+        return Array.from(this.roots, ([root, entry]) => ({ root, count: entry.count }));
+    }
+    
+    startObserving() {
+        this.observer = this.observeRoot(document, document.body);
+        
+        // Shadow roots attached to elements already on the page
+        if (this.config.includeShadowRoots && !this.unwatchShadowRoots) {
+            this.unwatchShadowRoots = LinkModifier.watchShadowRoots((host, shadowRoot) => {
+                if (this.roots.has(host.getRootNode())) {
+                    this.attachRoot(shadowRoot);
+                }
+            });
+        }
+    }
+    
+    // One observer per root, document roots are watched from their body/documentElement
+    observeRoot(root, target = root) {
+        const entry = this.getRootEntry(root);
+        
+        if (!entry.observer) {
+            entry.observer = this.batcher.observe(target);
+        }
+        
+        return entry.observer;
+    }
+    
+    // Resolves once every observed change has been processed
+    whenIdle() {
+        return this.batcher.whenIdle();
+    }
+    
+    // Start handling a shadow root or iframe document
+    attachRoot(root) {
+        if (this.roots.has(root) && this.roots.get(root).observer) {
+            return;
+        }
+        
+        const isDocument = root.nodeType === Node.DOCUMENT_NODE;
+        this.observeRoot(root, isDocument ? root.documentElement : root);
+        this.modifyLinksIn(root);
+        this.attachNestedRoots(root);
+    }
+    
+    // Find open shadow roots and iframes inside a node (when enabled)
+    attachNestedRoots(node) {
+        const { includeShadowRoots, includeIframes } = this.config;
+        if (!includeShadowRoots && !includeIframes) {
+            return;
+        }
+        
+        const elements = Array.from(node.querySelectorAll('*'));
+        if (node.nodeType === Node.ELEMENT_NODE) {
+            elements.unshift(node);
+        }
+        
+        elements.forEach(element => {
+            if (includeShadowRoots && element.shadowRoot) {
+                this.attachRoot(element.shadowRoot);
+            }
+            
+            if (includeIframes && element.tagName === 'IFRAME') {
+                this.watchIframe(element);
+            }
+        });
+    }
+    
+    watchIframe(iframe) {
+        if (this.iframes.has(iframe)) {
+            return;
+        }
+        
+        const state = { onLoad: () => this.attachIframeDocument(iframe), document: null };
+        this.iframes.set(iframe, state);
+        
+        // Every navigation inside the iframe brings a new document
+        iframe.addEventListener('load', state.onLoad);
+        this.attachIframeDocument(iframe);
+    }
+    
+    attachIframeDocument(iframe) {
+        const state = this.iframes.get(iframe);
+        let frameDocument = null;
+        
+        // Cross-origin frames give null or throw
+        try {
+            frameDocument = iframe.contentDocument;
+        } catch (e) {
+            frameDocument = null;
+        }
+        
+        if (!state || !frameDocument || !frameDocument.documentElement || frameDocument === state.document) {
+            return;
+        }
+        
+        // Drop the observer of the document the iframe navigated away from
+        if (state.document && this.roots.has(state.document)) {
+            const previous = this.roots.get(state.document);
+            if (previous.observer) {
+                this.batcher.unobserve(previous.observer);
+            }
+            this.roots.delete(state.document);
+        }
+        
+        state.document = frameDocument;
+        this.attachRoot(frameDocument);
+    }
+    
+    // Put back the exact target/rel every modified link had, returns how many were restored
+    restore() {
+        if (this.announcer) {
+            this.announcer.restoreAll();
+        }
+        const restored = this.tracker.restoreAll();
+        
+        // Putting rewritten hrefs back must not look like the page changing them
+        this.batcher.takeRecords({ discard: true });
 
-a[href]:not([href^="#"]):not([href^="mailto:"]):not([href^="tel:"])::after {
-    content: " ↗";
-    font-size: 0.8em;
-    opacity: 0.7;
+        this.tracker = new LinkStateTracker();
+        this.modifiedCount = 0;
+        this.roots.forEach(entry => {
+            entry.count = 0;
+        });
+        return restored;
+    }
+    
+    destroy({ restore = false } = {}) {
+        // Tear down the observer of every root, not just the document
+        this.batcher.disconnect();
+        this.roots.forEach(entry => {
+            entry.observer = null;
+        });
+        this.observer = null;
+        
+        this.iframes.forEach((state, iframe) => {
+            iframe.removeEventListener('load', state.onLoad);
+        });
+        this.iframes.clear();
+        
+        if (this.unwatchShadowRoots) {
+            this.unwatchShadowRoots();
+            this.unwatchShadowRoots = null;
+        }
+        
+        // Sends whatever clicks are still queued
+        if (this.clickTracking) {
+            this.clickTracking.stop();
+            this.clickTracking = null;
+        }
+        
+        if (restore) {
+            this.restore();
+        } else {
+            // The links keep their changes, but nothing holds on to them any more
+            this.tracker.forget();
+        }
+    }
+    
+    // Page-level options for people who edit HTML but not scripts:
+    // <meta name="link-policy" content='{"excludeClasses": ["partner"], "defaultAction": "same-tab"}'>
+    static readMetaConfig(doc = typeof document !== 'undefined' ? document : null) {
+        const meta = doc ? doc.querySelector('meta[name="link-policy"]') : null;
+        if (!meta) {
+            return {};
+        }
+        
+        let parsed;
+        try {
+            parsed = JSON.parse(meta.getAttribute('content'));
+        } catch (e) {
+            console.warn('LinkModifier: ignoring <meta name="link-policy">, content is not valid JSON');
+            return {};
+        }
+        
+        // Link behaviour only, no callbacks or tracking endpoints from markup. Rules may
+        // carry match.selector, which only decides which links of this page a rule covers
+        const config = {};
+        LinkModifier.META_OPTIONS.forEach(key => {
+            if (parsed && parsed[key] !== undefined) {
+                config[key] = parsed[key];
+            }
+        });
+        
+        // JSON has no regex literals. A typo in the CMS must not take the whole script down
+        if (Array.isArray(config.excludePatterns)) {
+            config.excludePatterns = config.excludePatterns.reduce((patterns, pattern) => {
+                if (typeof pattern !== 'string') {
+                    return patterns.concat(pattern);
+                }
+                try {
+                    return patterns.concat(new RegExp(pattern));
+                } catch (e) {
+                    console.warn(`LinkModifier: ignoring excludePatterns entry "${pattern}" in <meta name="link-policy">, not a valid regular expression`);
+                    return patterns;
+                }
+            }, []);
+        }
+        
+        if (Array.isArray(config.rules)) {
+            config.rules = config.rules.filter(rule => {
+                try {
+                    LinkPolicy.normalizeRule(rule || {});
+                    return !!rule;
+                } catch (e) {
+                    console.warn(`LinkModifier: ignoring a rule in <meta name="link-policy">, ${e.message}`);
+                    return false;
+                }
+            });
+        }
+        
+        return config;
+    }
+    
+    // Static method for quick implementation
+    static quickSetup(options = {}) {
+        return new LinkModifier(options);
+    }
+    
+    // Shadow roots can be attached at any time without a DOM mutation, so wrap
+    // attachShadow while at least one instance wants to know. Returns an unwatch function.
+    static watchShadowRoots(callback) {
+        const watchers = LinkModifier.shadowRootWatchers;
+        
+        if (!LinkModifier.originalAttachShadow && typeof Element !== 'undefined' && Element.prototype.attachShadow) {
+            const originalAttachShadow = Element.prototype.attachShadow;
+            
+            LinkModifier.originalAttachShadow = originalAttachShadow;
+            LinkModifier.patchedAttachShadow = function(...args) {
+                const shadowRoot = originalAttachShadow.apply(this, args);
+                if (shadowRoot.mode === 'open') {
+                    watchers.forEach(watcher => watcher(this, shadowRoot));
+                }
+                return shadowRoot;
+            };
+            Element.prototype.attachShadow = LinkModifier.patchedAttachShadow;
+        }
+        
+        watchers.add(callback);
+        
+        return () => {
+            watchers.delete(callback);
+            
+            // Only unpatch if nobody has wrapped attachShadow on top of us
+            if (watchers.size === 0 && LinkModifier.originalAttachShadow &&
+                Element.prototype.attachShadow === LinkModifier.patchedAttachShadow) {
+                Element.prototype.attachShadow = LinkModifier.originalAttachShadow;
+                LinkModifier.originalAttachShadow = null;
+                LinkModifier.patchedAttachShadow = null;
+            }
+        };
+    }
 }
-*/
+
+LinkModifier.shadowRootWatchers = new Set();
+LinkModifier.originalAttachShadow = null;
+LinkModifier.patchedAttachShadow = null;
+
+// Options a <meta name="link-policy"> tag may set
+LinkModifier.META_OPTIONS = [
+    'excludePatterns', 'excludeClasses', 'rules', 'defaultAction', 'useDefaultRules',
+    'addSecurityAttributes', 'securityRel', 'security', 'accessibility', 'urlRewrite'
+];
+
+// ==================================================
+// USAGE EXAMPLES
+// ==================================================
+
+// Example 1: Basic usage
+// LinkModifier.quickSetup();
+
+// Example 2: Advanced configuration
+// const linkModifier = new LinkModifier({
+//     excludeClasses: ['internal-link', 'no-new-tab'],
+//     enableLogging: true,
+//     onLinkModified: (link) => {
+//         console.log('Modified:', link.href);
+//         link.style.borderBottom = '1px dotted #ccc';
+//     }
+// });
+
+// Example 3: Web components and embedded same-origin widgets
+// const linkModifier = new LinkModifier({
+//     includeShadowRoots: true,
+//     includeIframes: true,
+//     onLinkModified: (link, { root, rootCount }) => {
+//         console.log(`${rootCount} links modified in`, root);
+//     }
+// });
+
+// Example 4: Outbound click tracking (see bin/click-collector.js for a local endpoint)
+// const linkModifier = new LinkModifier({
+//     tracking: {
+//         endpoint: 'http://localhost:8787/collect',
+//         redactParams: ['token', 'email']
+//     }
+// });
+
+// Example 5: For React applications (useEffect)
+// useEffect(() => {
+//     const linkModifier = LinkModifier.quickSetup({
+//         enableLogging: true
+//     });
+//     
+//     return () => linkModifier.destroy();
+// }, []);
+
+// Example 6: Announce new tabs to screen readers, with an icon on external links
+// const accessibleModifier = new LinkModifier({
+//     accessibility: { mode: 'describedby', icon: true }
+// });
+
+// Example 7: Configure from markup, no script changes needed
+// <meta name="link-policy" content='{"excludeClasses": ["partner-link"], "security": true}'>
+// <section data-link-policy="same-tab">...</section>
+// <aside data-link-policy="new-tab" data-link-rel="nofollow sponsored">...</aside>
+
+// ==================================================
+// METHOD 7: Bookmarklet Version
+// ==================================================
+
+// createBookmarklet(options) returns a javascript: URL built from the same
+// LinkPolicy/LinkStateTracker code as LinkModifier. Clicking it applies the options,
+// clicking it again restores every link. bookmarklet.html lets anyone pick options
+// and drag the result to the bookmarks bar.
+//
+// Supported options are BOOKMARKLET_OPTIONS, plus badge: false to stay silent.
+// Functions (e.g. onThreat) cannot be carried in a bookmark and are dropped.
+
+const BOOKMARKLET_OPTIONS = [
+    'excludeSelectors', 'excludePatterns', 'excludeClasses', 'rules', 'defaultAction',
+    'useDefaultRules', 'addSecurity', 'addSecurityAttributes', 'securityRel', 'security'
+];
+
+// Runs inside the bookmarklet, next to the class sources
+function runLinkBookmarklet(options, showBadge) {
+    const previous = window.__linkModifierBookmarklet;
+    let message;
+    
+    if (previous) {
+        previous.observer.disconnect();
+        const restored = previous.tracker.restoreAll();
+        delete window.__linkModifierBookmarklet;
+        message = `Restored ${restored} links`;
+    } else {
+        const policy = LinkPolicy.fromOptions(options);
+        const tracker = new LinkStateTracker();
+        
+        const modifyLink = (link) => {
+            if (tracker.has(link)) {
+                return;
+            }
+            
+            const decision = policy.evaluate(link);
+            if (decision.action !== 'skip') {
+                tracker.record(link);
+                policy.apply(link, decision);
+                tracker.markApplied(link);
+            } else {
+                policy.report(decision);
+            }
+        };
+        
+        document.querySelectorAll('a[href]').forEach(modifyLink);
+        
+        const observer = new MutationObserver(mutations => mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType !== Node.ELEMENT_NODE) {
+                    return;
+                }
+                if (node.matches('a[href]')) {
+                    modifyLink(node);
+                }
+                node.querySelectorAll('a[href]').forEach(modifyLink);
+            });
+        }));
+        observer.observe(document.body, { childList: true, subtree: true });
+        
+        window.__linkModifierBookmarklet = { tracker, observer };
+        message = `${tracker.size} links now open in a new tab. Click the bookmarklet again to undo.`;
+    }
+    
+    if (!showBadge) {
+        return;
+    }
+    
+    // Small notice instead of alert(), gone after a few seconds
+    const existing = document.getElementById('link-modifier-badge');
+    if (existing) {
+        existing.remove();
+    }
+    
+    const badge = document.createElement('div');
+    badge.id = 'link-modifier-badge';
+    badge.setAttribute('role', 'status');
+    badge.textContent = message;
+    badge.style.cssText = 'position:fixed;right:16px;bottom:16px;z-index:2147483647;max-width:320px;' +
+        'padding:12px 16px;border-radius:12px;background:#1a1a1a;color:#fff;' +
+        'font:14px/1.4 -apple-system,BlinkMacSystemFont,sans-serif;box-shadow:0 10px 30px rgba(0,0,0,.3)';
+    document.body.appendChild(badge);
+    setTimeout(() => badge.remove(), 4000);
+}
+
+// JavaScript source for plain values, regular expressions, functions and Sets
+function toSource(value) {
+    if (value instanceof RegExp) {
+        return String(value);
+    }
+    
+    if (value instanceof Set) {
+        return `new Set(${toSource(Array.from(value))})`;
+    }
+    
+    if (Array.isArray(value)) {
+        return `[${value.map(toSource).join(',')}]`;
+    }
+    
+    if (typeof value === 'function') {
+        return value.toString();
+    }
+    
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).map(key => {
+            const member = value[key];
+            const source = toSource(member);
+            // Method shorthand, e.g. Punycode.decode(input) { ... }
+            if (typeof member === 'function' && !/^(function|class|async\s+function)\b|^(async\s*)?(\([^)]*\)|[\w$]+)\s*=>/.test(source)) {
+                return source;
+            }
+            return `${JSON.stringify(key)}:${source}`;
+        }).join(',')}}`;
+    }
+    
+    return value === undefined ? 'undefined' : JSON.stringify(value);
+}
+
+// Drops comments and whitespace, leaves strings, templates and regular expressions alone.
+// A line break only goes where semicolon insertion could depend on it: between two
+// tokens when neither side is an operator or bracket that carries the statement on.
+function minifyScript(code) {
+    let output = '';
+    let i = 0;
+    
+    const lastSignificant = () => {
+        const trimmed = output.replace(/\s+$/, '');
+        return trimmed[trimmed.length - 1] || '';
+    };
+    const isWordChar = char => /[\w$]/.test(char);
+    // No statement can end after these, or start with those. + and - are left out for x++ / ++x
+    const continuesAfter = '{([,;:=?&|!~^*%<>.';
+    const continuesBefore = ')]},;.?:=';
+    
+    // A slash starts a regular expression after an operator, a bracket or a keyword like return
+    const regexCanStart = () => {
+        const last = lastSignificant();
+        if (last === '' || '(,=:[!&|?{};+-*%<>~^'.includes(last)) {
+            return true;
+        }
+        return /\b(return|typeof|case|do|else|in|of|new|delete|void|throw)\s*$/.test(output);
+    };
+    
+    // Copies a quoted string, template literal or regular expression verbatim
+    const copyLiteral = () => {
+        const quote = code[i];
+        let depth = 0;
+        let inClass = false;
+        output += code[i++];
+        
+        while (i < code.length) {
+            const char = code[i];
+            output += char;
+            i++;
+            
+            if (char === '\\') {
+                output += code[i++];
+            } else if (quote === '`' && char === '$' && code[i] === '{') {
+                output += code[i++];
+                depth++;
+            } else if (quote === '`' && depth > 0 && char === '}') {
+                depth--;
+            } else if (quote === '/' && char === '[') {
+                inClass = true;
+            } else if (quote === '/' && char === ']') {
+                inClass = false;
+            } else if (char === quote && depth === 0 && !inClass) {
+                break;
+            }
+        }
+        
+        // Regular expression flags
+        if (quote === '/') {
+            while (i < code.length && /[a-z]/i.test(code[i])) {
+                output += code[i++];
+            }
+        }
+    };
+    
+    while (i < code.length) {
+        const char = code[i];
+        const next = code[i + 1];
+        
+        if (char === '/' && next === '/') {
+            while (i < code.length && code[i] !== '\n') i++;
+        } else if (char === '/' && next === '*') {
+            const end = code.indexOf('*/', i + 2);
+            i = end === -1 ? code.length : end + 2;
+        } else if (char === '"' || char === '\'' || char === '`' || (char === '/' && regexCanStart())) {
+            copyLiteral();
+        } else if (/\s/.test(char)) {
+            let newline = false;
+            while (i < code.length && /\s/.test(code[i])) {
+                newline = newline || code[i] === '\n';
+                i++;
+            }
+            
+            const before = output[output.length - 1] || '';
+            const after = code[i] || '';
+            if (newline && before !== '\n' && output !== '' && !continuesAfter.includes(before) && !continuesBefore.includes(after)) {
+                output += '\n';
+            } else if ((isWordChar(before) && isWordChar(after)) || (before === after && '+-'.includes(before))) {
+                output += ' ';
+            }
+        } else {
+            output += char;
+            i++;
+        }
+    }
+    
+    return output.trim();
+}
+
+// Keeps the characters a javascript: URL can carry as they are, to stay readable and short
+function encodeBookmarklet(code) {
+    return `javascript:${encodeURIComponent(code).replace(/%(3B|2C|3D|3A|2F|3F|40|24|26)/g, decodeURIComponent)}`;
+}
+
+function createBookmarklet(options = {}) {
+    const { badge = true } = options;
+    const bookmarkletOptions = {};
+    
+    BOOKMARKLET_OPTIONS.forEach(key => {
+        if (options[key] !== undefined) {
+            bookmarkletOptions[key] = options[key];
+        }
+    });
+    
+    // Callbacks reference the page that generated them
+    if (bookmarkletOptions.security && typeof bookmarkletOptions.security === 'object') {
+        const { onThreat, ...security } = bookmarkletOptions.security;
+        bookmarkletOptions.security = security;
+    }
+    
+    const statics = (cls, names) => names
+        .map(name => `${cls.name}.${name}=${toSource(cls[name])};`)
+        .join('\n');
+    
+    const parts = [
+        '(function(){',
+        '\'use strict\';',
+        // Only the security guard needs punycode decoding
+        bookmarkletOptions.security ? `const Punycode=${toSource(Punycode)};` : '',
+        LinkSecurityGuard.toString(),
+        statics(LinkSecurityGuard, ['CONFUSABLES']),
+        LinkPolicy.toString(),
+        statics(LinkPolicy, ['ACTIONS', 'DECLARATIVE_ACTIONS', 'DECLARATIVE_ATTRIBUTES', 'DEFAULT_RULES']),
+        LinkStateTracker.toString(),
+        'LinkStateTracker.all=new Set();',
+        statics(LinkStateTracker, ['ATTRIBUTES', 'PRUNE_MIN']),
+        runLinkBookmarklet.toString(),
+        `runLinkBookmarklet(${toSource(bookmarkletOptions)},${Boolean(badge)});`,
+        '})();'
+    ];
+    
+    return encodeBookmarklet(minifyScript(parts.filter(Boolean).join('\n')));
+}
+
+// ==================================================
+// METHOD 8: WordPress/CMS Integration
+// ==================================================
+
+function setupWordPressIntegration() {
+    // For WordPress themes - add to functions.php or custom plugin
+    // Pages rendered by Node should use transformHtml() (METHOD 11) instead,
+    // this regex breaks on single-quoted attributes and existing target/rel values
+    
+    // PHP code to add to WordPress (as comment for reference):
+    /*
+    function modify_content_links($content) {
+        // Use regex to add target="_blank" to all external links
+        $content = preg_replace_callback(
+            '/<a\s+([^>]*?)href=["\']([^"\']*)["\']([^>]*?)>/i',
+            function($matches) {
+                $full_match = $matches[0];
+                $before_href = $matches[1];
+                $href = $matches[2];
+                $after_href = $matches[3];
+                
+                // Skip internal links, anchors, etc.
+                if (strpos($href, '#') === 0 || 
+                    strpos($href, 'mailto:') === 0 || 
+                    strpos($href, 'tel:') === 0) {
+                    return $full_match;
+                }
+                
+                // Add target="_blank" if not already present
+                if (strpos($full_match, 'target=') === false) {
+                    $after_href .= ' target="_blank"';
+                }
+                
+                // Add rel="noopener noreferrer" for external links
+                if (!preg_match('/^https?:\/\/' . $_SERVER['HTTP_HOST'] . '/', $href) && 
+                    strpos($full_match, 'rel=') === false) {
+                    $after_href .= ' rel="noopener noreferrer"';
+                }
+                
+                return '<a ' . $before_href . 'href="' . $href . '"' . $after_href . '>';
+            },
+            $content
+        );
+        
+        return $content;
+    }
+    
+    add_filter('the_content', 'modify_content_links');
+    add_filter('widget_text', 'modify_content_links');
+    */
+}
+
+// ==================================================
+// METHOD 9: Browser Extension (Manifest V3)
+// ==================================================
+
+// The extension lives in extension/: a content script running LinkModifier,
+// an options page (per-site switch, exclusions) and a toolbar popup with the
+// modified link count and a restore button. Build a loadable copy with:
+//
+//   node bin/build-extension.js [dist/extension]
+//
+// then load that folder from chrome://extensions with "Load unpacked".
+// The scripts take chrome.* as a parameter, see extension/chrome-mock.js
+// for running them headlessly.
+
+// ==================================================
+// METHOD 10: Testing and Debugging Functions
+// ==================================================
+
+// Problems LinkModifierDebug.audit() looks for
+const LINK_AUDIT_CHECKS = {
+    'blank-without-noopener': { severity: 'error', message: 'Opens in a new tab without rel="noopener"' },
+    'dangerous-scheme': { severity: 'error', message: 'Uses a javascript:, vbscript: or data: URL' },
+    'mixed-content': { severity: 'warning', message: 'Links to http: from an https: page' },
+    'lookalike-domain': { severity: 'error', message: 'Internationalised domain that imitates a trusted domain' },
+    'button-like-href': { severity: 'warning', message: 'Empty or "#" href used as a button' },
+    'policy-mismatch': { severity: 'warning', message: 'Attributes differ from what the link policy computes' }
+};
+
+const LinkModifierDebug = {
+    // Count all links on page
+    countLinks(options = {}) {
+        const policy = LinkPolicy.fromOptions(options);
+        const links = Array.from(document.querySelectorAll('a[href]'));
+        const total = links.length;
+        const modified = LinkModifierDebug.modifiedLinks().length;
+        const external = links.filter(link => policy.isExternal(link)).length;
+        const newTab = document.querySelectorAll('a[href][target="_blank"]').length;
+        
+        console.table({
+            'Total Links': total,
+            'Modified Links': modified,
+            'External Links': external,
+            'New Tab Links': newTab,
+            'Unmodified': total - modified
+        });
+    },
+    
+    // Classify every anchor on the page, returns a JSON-serialisable report.
+    // Takes the same options as LinkModifier (or { policy }) to compare against,
+    // security options (e.g. trustedDomains) are used for the security checks.
+    audit(options = {}) {
+        const policy = LinkPolicy.fromOptions(options);
+        const guard = policy.guard || new LinkSecurityGuard(options.security && options.security !== true ? options.security : {});
+        const issueCounts = {};
+        Object.keys(LINK_AUDIT_CHECKS).forEach(check => {
+            issueCounts[check] = 0;
+        });
+        
+        const links = Array.from(document.querySelectorAll('a')).map((link, index) => {
+            const href = link.getAttribute('href');
+            const target = link.getAttribute('target');
+            const rel = LinkPolicy.relTokens(link.getAttribute('rel')).map(token => token.toLowerCase());
+            const decision = href === null ? null : policy.evaluate(link);
+            const blocked = link.getAttribute('data-link-blocked');
+            const issues = [];
+            
+            if (target === '_blank' && !rel.includes('noopener') && !rel.includes('noreferrer')) {
+                issues.push('blank-without-noopener');
+            }
+            
+            // dangerous-scheme, mixed-content and lookalike-domain
+            if (href !== null) {
+                guard.inspect(policy.describe(link), policy.getBaseUrl()).forEach(threat => {
+                    issues.push(threat.type);
+                });
+            }
+            
+            // Disarmed by security mode, the href is gone so it is not a button
+            if (!blocked && (href === null || href.trim() === '' || href.trim() === '#')) {
+                issues.push('button-like-href');
+            }
+            
+            if (decision && LinkModifierDebug.differsFromPolicy(decision, target, rel)) {
+                issues.push('policy-mismatch');
+            }
+            
+            issues.forEach(check => issueCounts[check]++);
+            
+            return {
+                index,
+                path: LinkModifierDebug.elementPath(link),
+                text: link.textContent.trim().replace(/\s+/g, ' ').slice(0, 120),
+                href,
+                target,
+                rel: link.getAttribute('rel'),
+                blocked: blocked ? blocked.split(' ') : null,
+                external: decision ? decision.external : false,
+                expected: decision ? { action: decision.action, rel: decision.rel } : null,
+                issues: issues.map(check => ({ check, ...LINK_AUDIT_CHECKS[check] }))
+            };
+        });
+        
+        return {
+            page: window.location.href,
+            generatedAt: new Date().toISOString(),
+            summary: {
+                totalLinks: links.length,
+                externalLinks: links.filter(link => link.external).length,
+                newTabLinks: links.filter(link => link.target === '_blank').length,
+                blockedLinks: links.filter(link => link.blocked).length,
+                linksWithIssues: links.filter(link => link.issues.length > 0).length,
+                issues: issueCounts
+            },
+            links
+        };
+    },
+    
+    differsFromPolicy(decision, target, rel) {
+        if (decision.action === 'skip') {
+            return false;
+        }
+        
+        // Still has the href security mode would remove
+        if (decision.action === 'block') {
+            return true;
+        }
+        
+        if (decision.action === 'new-tab' && target !== '_blank') {
+            return true;
+        }
+        
+        if (decision.action === 'same-tab' && target === '_blank') {
+            return true;
+        }
+        
+        return decision.rel.some(token => !rel.includes(token.toLowerCase()));
+    },
+    
+    // Short CSS path so QA can find the link again
+    elementPath(element) {
+        const parts = [];
+        let node = element;
+        
+        while (node && node.nodeType === Node.ELEMENT_NODE && parts.length < 5) {
+            if (node.id) {
+                parts.unshift(`#${node.id}`);
+                break;
+            }
+            
+            let part = node.tagName.toLowerCase();
+            const parent = node.parentElement;
+            if (parent) {
+                const siblings = Array.from(parent.children).filter(child => child.tagName === node.tagName);
+                if (siblings.length > 1) {
+                    part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+                }
+            }
+            
+            parts.unshift(part);
+            node = parent;
+        }
+        
+        return parts.join(' > ');
+    },
+    
+    // Standalone HTML version of an audit report
+    auditToHtml(report) {
+        const escape = value => String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        
+        const summaryRows = Object.keys(report.summary.issues).map(check => `
+            <tr><td>${escape(LINK_AUDIT_CHECKS[check].message)}</td><td>${report.summary.issues[check]}</td></tr>`).join('');
+        
+        const linkRows = report.links.filter(link => link.issues.length > 0 || link.blocked).map(link => `
+            <tr>
+                <td>${link.index}</td>
+                <td><code>${escape(link.path)}</code><br>${escape(link.text)}</td>
+                <td><code>${escape(link.href)}</code></td>
+                <td>${escape(link.target)}</td>
+                <td>${escape(link.rel)}</td>
+                <td>${link.expected ? escape(`${link.expected.action} ${link.expected.rel.join(' ')}`) : ''}</td>
+                <td>${link.issues.map(issue => `<span class="${issue.severity}">${escape(issue.message)}</span>`)
+                    .concat(link.blocked ? [`Blocked by security mode: ${escape(link.blocked.join(', '))}`] : [])
+                    .join('<br>')}</td>
+            </tr>`).join('');
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Link audit - ${escape(report.page)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, sans-serif; margin: 2rem; color: #1a1a1a; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+    th, td { border: 1px solid #e2e8f0; padding: 0.5rem; text-align: left; vertical-align: top; font-size: 0.9rem; }
+    th { background: #f7fafc; }
+    .error { color: #c53030; font-weight: 600; }
+    .warning { color: #b7791f; }
+</style>
+</head>
+<body>
+<h1>Link audit</h1>
+<p>${escape(report.page)}<br>Generated ${escape(report.generatedAt)}</p>
+<p>${report.summary.totalLinks} links, ${report.summary.externalLinks} external, ${report.summary.newTabLinks} open in a new tab, ${report.summary.blockedLinks} blocked, ${report.summary.linksWithIssues} with issues.</p>
+<table>
+    <tr><th>Check</th><th>Links</th></tr>${summaryRows}
+</table>
+<table>
+    <tr><th>#</th><th>Link</th><th>href</th><th>target</th><th>rel</th><th>Policy expects</th><th>Issues</th></tr>${linkRows}
+</table>
+</body>
+</html>`;
+    },
+    
+    // Save an audit report as 'html' or 'json', runs a fresh audit if none is given
+    downloadAuditReport(format = 'html', report = LinkModifierDebug.audit()) {
+        const isJson = format === 'json';
+        const content = isJson ? JSON.stringify(report, null, 2) : LinkModifierDebug.auditToHtml(report);
+        const blob = new Blob([content], { type: isJson ? 'application/json' : 'text/html' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `link-audit-${report.generatedAt.replace(/[:.]/g, '-')}.${isJson ? 'json' : 'html'}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        return report;
+    },
+    
+    // Before/after hrefs for a LinkModifier urlRewrite config, without changing the page.
+    // LinkModifierDebug.previewUrlRewrites({ urlRewrite: { strip: true } })
+    previewUrlRewrites(options = {}) {
+        const policy = LinkPolicy.fromOptions(options);
+        const rewriter = new LinkUrlRewriter(options.urlRewrite || {});
+        const rows = [];
+        
+        document.querySelectorAll('a[href]').forEach(link => {
+            const after = rewriter.rewrite(policy.evaluate(link));
+            if (after) {
+                rows.push({ before: link.href, after, text: link.textContent.trim().slice(0, 60) });
+            }
+        });
+        
+        if (rows.length > 0) {
+            console.table(rows);
+        } else {
+            console.log('No links would be rewritten');
+        }
+        
+        return rows;
+    },
+    
+    // Every link currently modified by any method
+    modifiedLinks() {
+        const links = new Set();
+        LinkStateTracker.all.forEach(tracker => {
+            tracker.links().forEach(link => links.add(link));
+        });
+        return Array.from(links);
+    },
+    
+    // Highlight modified links
+    highlightModified() {
+        LinkModifierDebug.modifiedLinks().forEach(link => {
+            link.style.outline = '2px solid #ff6b6b';
+            link.style.outlineOffset = '2px';
+        });
+    },
+    
+    // Put every modified link back exactly as it was authored
+    resetAllLinks() {
+        let restored = 0;
+        Array.from(LinkStateTracker.all).forEach(tracker => {
+            restored += tracker.restoreAll();
+        });
+        console.log(`Link modifications removed from ${restored} links`);
+        return restored;
+    },
+    
+    // Test specific selectors
+    testSelector(selector) {
+        const links = document.querySelectorAll(selector);
+        console.log(`Selector "${selector}" matches ${links.length} elements:`);
+        links.forEach((link, index) => {
+            console.log(`${index + 1}. ${link.href} - ${link.textContent.trim()}`);
+        });
+    }
+};
 
 // ==================================================
-// METHOD 5: Event Delegation Approach
+// METHOD 11: Server-side HTML Transformer (Node.js)
 // ==================================================
 
-function setupEventDelegation() {
-    document.addEventListener('click', function(event) {
-        // Check if clicked element is a link
-        const link = event.target.closest('a[href]');
+// Applies the same LinkPolicy as LinkModifier.modifyLink to HTML markup.
+// Only the attributes that change are rewritten, everything else is copied
+// through byte for byte. <a> tags inside comments, raw text elements
+// (<script>, <style>, <textarea>, ...) and <template> are left alone.
+
+const RAW_TEXT_TAGS = ['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes'];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeHtmlEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        const decoded = HTML_ENTITIES[name.toLowerCase()];
+        return decoded !== undefined ? decoded : entity;
+    });
+}
+
+function encodeHtmlAttribute(value, quote) {
+    const encoded = value.replace(/&/g, '&amp;');
+    return quote === "'" ? encoded.replace(/'/g, '&#39;') : encoded.replace(/"/g, '&quot;');
+}
+
+// A start tag parsed from markup that behaves enough like a DOM element for LinkPolicy
+class HtmlTagElement {
+    constructor(source, tagName, attributes) {
+        this.source = source;
+        this.tagName = tagName.toUpperCase();
+        this.attributes = attributes;
+        this.added = [];
+    }
+    
+    findAttribute(name) {
+        const lower = name.toLowerCase();
+        return this.attributes.find(attr => attr.name === lower && !attr.removed) ||
+            this.added.find(attr => attr.name === lower) ||
+            null;
+    }
+    
+    getAttribute(name) {
+        const attr = this.findAttribute(name);
+        return attr ? attr.value : null;
+    }
+    
+    hasAttribute(name) {
+        return this.findAttribute(name) !== null;
+    }
+    
+    setAttribute(name, value) {
+        const attr = this.findAttribute(name);
+        const text = String(value);
+        
+        if (attr && attr.value === text) {
+            return;
+        }
+        
+        if (attr) {
+            const quote = attr.quote || '"';
+            attr.value = text;
+            attr.raw = `${attr.rawName}=${quote}${encodeHtmlAttribute(text, quote)}${quote}`;
+            attr.dirty = true;
+        } else {
+            this.added.push({
+                name: name.toLowerCase(),
+                value: text,
+                raw: `${name}="${encodeHtmlAttribute(text, '"')}"`
+            });
+        }
+    }
+    
+    removeAttribute(name) {
+        const lower = name.toLowerCase();
+        this.attributes.forEach(attr => {
+            if (attr.name === lower) {
+                attr.removed = true;
+            }
+        });
+        this.added = this.added.filter(attr => attr.name !== lower);
+    }
+    
+    get classList() {
+        const classes = (this.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+        return { contains: className => classes.includes(className) };
+    }
+    
+    get changed() {
+        return this.added.length > 0 || this.attributes.some(attr => attr.dirty || attr.removed);
+    }
+    
+    matches(selector) {
+        return parseSimpleSelectorList(selector).some(compound => compound.every(test => test(this)));
+    }
+    
+    toString() {
+        if (!this.changed) {
+            return this.source;
+        }
+        
+        let output = '';
+        let cursor = 0;
+        let insertAt = this.nameEnd;
+        
+        this.attributes.forEach(attr => {
+            insertAt = attr.end;
+            if (attr.removed) {
+                output += this.source.slice(cursor, attr.leadStart);
+                cursor = attr.end;
+            } else if (attr.dirty) {
+                output += this.source.slice(cursor, attr.start) + attr.raw;
+                cursor = attr.end;
+            }
+        });
+        
+        const added = this.added.map(attr => ` ${attr.raw}`).join('');
+        return output + this.source.slice(cursor, insertAt) + added + this.source.slice(insertAt);
+    }
+}
+
+// Enough CSS for policy rules: tag, #id, .class and [attr], [attr=v], [attr^=v],
+// [attr$=v], [attr*=v], [attr~=v] joined into compounds and comma lists
+const selectorCache = new Map();
+
+function parseSimpleSelectorList(selectorList) {
+    selectorList = selectorList.trim();
+    if (selectorCache.has(selectorList)) {
+        return selectorCache.get(selectorList);
+    }
+    
+    const part = /\s*(?:([a-z][\w-]*|\*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\])/iy;
+    const compounds = [];
+    let tests = [];
+    let index = 0;
+    
+    while (index < selectorList.length) {
+        part.lastIndex = index;
+        const match = part.exec(selectorList);
+        
+        if (match && !(tests.length > 0 && /^\s/.test(match[0]))) {
+            tests.push(createSelectorTest(match));
+            index = part.lastIndex;
+            continue;
+        }
+        
+        const comma = /^\s*,\s*/.exec(selectorList.slice(index));
+        if (!comma || tests.length === 0) {
+            throw new Error(`Unsupported selector for server-side matching: "${selectorList}"`);
+        }
+        
+        compounds.push(tests);
+        tests = [];
+        index += comma[0].length;
+    }
+    
+    if (tests.length === 0) {
+        throw new Error(`Unsupported selector for server-side matching: "${selectorList}"`);
+    }
+    
+    compounds.push(tests);
+    selectorCache.set(selectorList, compounds);
+    return compounds;
+}
+
+function createSelectorTest(match) {
+    const [, tag, id, className, attribute, operator] = match;
+    
+    if (tag) {
+        return element => tag === '*' || element.tagName === tag.toUpperCase();
+    }
+    if (id) {
+        return element => element.getAttribute('id') === id;
+    }
+    if (className) {
+        return element => element.classList.contains(className);
+    }
+    
+    const expected = match[6] !== undefined ? match[6] : match[7] !== undefined ? match[7] : match[8];
+    
+    return element => {
+        const value = element.getAttribute(attribute);
+        if (value === null) {
+            return false;
+        }
+        
+        switch (operator) {
+            case undefined: return true;
+            case '=': return value === expected;
+            case '^=': return expected !== '' && value.startsWith(expected);
+            case '$=': return expected !== '' && value.endsWith(expected);
+            case '*=': return expected !== '' && value.includes(expected);
+            case '~=': return value.split(/\s+/).includes(expected);
+            case '|=': return value === expected || value.startsWith(`${expected}-`);
+            default: return false;
+        }
+    };
+}
+
+// Incremental tokenizer: feed it chunks with write(), finish with end().
+// Only unfinished markup at the end of a chunk is held back between writes.
+class HtmlLinkRewriter {
+    constructor(options = {}) {
+        this.config = {
+            targetSelector: 'a[href]',
+            onLinkModified: null, // Called with each HtmlTagElement that changed
+            ...options
+        };
+        
+        this.policy = LinkPolicy.fromOptions(this.config);
+        this.urlRewriter = this.config.urlRewrite ? new LinkUrlRewriter(this.config.urlRewrite) : null;
+        this.buffer = '';
+        this.state = 'data'; // 'data' | 'comment' | 'rawtext'
+        this.rawTag = null;
+        this.templateDepth = 0;
+        this.linkCount = 0;
+        this.modifiedCount = 0;
+    }
+    
+    write(chunk) {
+        this.buffer += chunk;
+        return this.process(false);
+    }
+    
+    end(chunk = '') {
+        this.buffer += chunk;
+        return this.process(true);
+    }
+    
+    process(final) {
+        const input = this.buffer;
+        let output = '';
+        let index = 0;
+        
+        while (index < input.length) {
+            if (this.state === 'comment') {
+                const close = input.indexOf('-->', index);
+                if (close === -1) {
+                    // '-->' may be split across chunks, keep its first two characters
+                    const safe = final ? input.length : Math.max(index, input.length - 2);
+                    output += input.slice(index, safe);
+                    index = safe;
+                    break;
+                }
+                output += input.slice(index, close + 3);
+                index = close + 3;
+                this.state = 'data';
+                continue;
+            }
+            
+            if (this.state === 'rawtext') {
+                const needle = `</${this.rawTag}`;
+                const close = this.findRawTextEnd(input, index, needle, final);
+                if (close === -1) {
+                    const safe = final ? input.length : Math.max(index, input.length - needle.length);
+                    output += input.slice(index, safe);
+                    index = safe;
+                    break;
+                }
+                output += input.slice(index, close);
+                index = close;
+                this.state = 'data';
+                this.rawTag = null;
+                continue;
+            }
+            
+            const open = input.indexOf('<', index);
+            if (open === -1) {
+                output += input.slice(index);
+                index = input.length;
+                break;
+            }
+            
+            output += input.slice(index, open);
+            index = open;
+            
+            const markup = this.readMarkup(input, open, final);
+            if (!markup) {
+                break; // Wait for the rest of this tag
+            }
+            
+            output += markup.text;
+            index = markup.end;
+        }
+        
+        this.buffer = input.slice(index);
+        
+        if (final && this.buffer) {
+            output += this.buffer;
+            this.buffer = '';
+        }
+        
+        return output;
+    }
+    
+    findRawTextEnd(input, index, needle, final) {
+        const lower = input.toLowerCase();
+        let from = index;
+        
+        while (true) {
+            const position = lower.indexOf(needle, from);
+            if (position === -1) {
+                return -1;
+            }
+            
+            const next = input[position + needle.length];
+            if (next === undefined) {
+                return final ? position : -1;
+            }
+            if (/[\s/>]/.test(next)) {
+                return position;
+            }
+            
+            from = position + 1;
+        }
+    }
+    
+    readMarkup(input, start, final) {
+        const rest = input.slice(start, start + 4);
+        
+        // Not enough characters yet to tell what this is
+        if (!final && rest.length < 4 && '<!--'.startsWith(rest)) {
+            return null;
+        }
+        
+        if (rest === '<!--') {
+            this.state = 'comment';
+            return { text: rest, end: start + 4 };
+        }
+        
+        const next = input[start + 1];
+        if (next === undefined) {
+            return final ? { text: '<', end: start + 1 } : null;
+        }
+        
+        // Doctype, processing instructions and end tags are copied as they are
+        if (next === '!' || next === '?' || (next === '/' && /[a-z]/i.test(input[start + 2] || ''))) {
+            const close = input.indexOf('>', start);
+            if (close === -1) {
+                return final ? { text: input.slice(start), end: input.length } : null;
+            }
+            
+            const text = input.slice(start, close + 1);
+            if (/^<\/template[\s/>]/i.test(text) && this.templateDepth > 0) {
+                this.templateDepth--;
+            }
+            return { text, end: close + 1 };
+        }
+        
+        if (next === '/' && input[start + 2] === undefined && !final) {
+            return null;
+        }
+        
+        if (!/[a-z]/i.test(next)) {
+            return { text: '<', end: start + 1 };
+        }
+        
+        const tag = this.parseStartTag(input, start);
+        if (!tag) {
+            return final ? { text: input.slice(start), end: input.length } : null;
+        }
+        
+        return { text: this.handleStartTag(tag), end: tag.end };
+    }
+    
+    parseStartTag(input, start) {
+        const length = input.length;
+        let i = start + 1;
+        
+        while (i < length && !/[\s/>]/.test(input[i])) i++;
+        if (i >= length) return null;
+        
+        const name = input.slice(start + 1, i).toLowerCase();
+        const nameEnd = i - start;
+        const attributes = [];
+        
+        while (true) {
+            const leadStart = i;
+            while (i < length && /[\s/]/.test(input[i])) i++;
+            if (i >= length) return null;
+            if (input[i] === '>') break;
+            
+            const nameStart = i;
+            do { i++; } while (i < length && !/[\s/>=]/.test(input[i]));
+            if (i >= length) return null;
+            
+            const rawName = input.slice(nameStart, i);
+            let j = i;
+            while (j < length && /\s/.test(input[j])) j++;
+            if (j >= length) return null;
+            
+            let value = '';
+            let quote = null;
+            
+            if (input[j] === '=') {
+                j++;
+                while (j < length && /\s/.test(input[j])) j++;
+                if (j >= length) return null;
+                
+                if (input[j] === '"' || input[j] === "'") {
+                    quote = input[j];
+                    const close = input.indexOf(quote, j + 1);
+                    if (close === -1) return null;
+                    value = input.slice(j + 1, close);
+                    i = close + 1;
+                } else {
+                    let k = j;
+                    while (k < length && !/[\s>]/.test(input[k])) k++;
+                    if (k >= length) return null;
+                    value = input.slice(j, k);
+                    i = k;
+                }
+            }
+            
+            attributes.push({
+                name: rawName.toLowerCase(),
+                rawName,
+                value: decodeHtmlEntities(value),
+                quote,
+                leadStart: leadStart - start,
+                start: nameStart - start,
+                end: i - start
+            });
+        }
+        
+        const end = i + 1;
+        const element = new HtmlTagElement(input.slice(start, end), name, attributes);
+        element.nameEnd = nameEnd;
+        
+        return { name, element, end };
+    }
+    
+    handleStartTag(tag) {
+        const { name, element } = tag;
+        
+        if (name === 'template') {
+            this.templateDepth++;
+        } else if (RAW_TEXT_TAGS.includes(name)) {
+            this.state = 'rawtext';
+            this.rawTag = name;
+        } else if (name === 'a' && this.templateDepth === 0) {
+            return this.rewriteLink(element);
+        }
         
-        if (!link) return;
+        return element.source;
+    }
+    
+    rewriteLink(element) {
+        let matchesTarget;
+        try {
+            matchesTarget = element.matches(this.config.targetSelector);
+        } catch (e) {
+            matchesTarget = element.hasAttribute('href');
+        }
         
-        // Skip certain types of links
-        const href = link.getAttribute('href');
-        if (href.startsWith('#') || 
-            href.startsWith('mailto:') || 
-            href.startsWith('tel:') ||
-            link.hasAttribute('download') ||
-            link.classList.contains('no-new-tab')) {
-            return;
+        if (!matchesTarget) {
+            return element.source;
         }
         
-        // Prevent default behavior
-        event.preventDefault();
+        this.linkCount++;
+        const decision = this.policy.apply(element);
         
-        // Open in new tab/window
-        window.open(link.href, '_blank', 'noopener,noreferrer');
+        const rewrittenHref = this.urlRewriter ? this.urlRewriter.rewrite(decision) : null;
+        if (rewrittenHref) {
+            element.setAttribute('href', rewrittenHref);
+        }
+        
+        if (element.changed) {
+            this.modifiedCount++;
+            if (this.config.onLinkModified) {
+                this.config.onLinkModified(element);
+            }
+        }
+        
+        return element.toString();
+    }
+}
+
+// transformHtml(html, options) returns a string,
+// transformHtml(readable, options) returns a readable stream of the output.
+// Pass baseUrl (e.g. 'https://example.com/') so relative and same-site links are not treated as external.
+function transformHtml(input, options = {}) {
+    if (typeof input === 'string') {
+        const rewriter = new HtmlLinkRewriter(options);
+        return rewriter.write(input) + rewriter.end();
+    }
+    
+    if (input && typeof input.pipe === 'function') {
+        const { pipeline } = require('stream');
+        const transform = createHtmlTransformStream(options);
+        
+        // pipeline() forwards source errors to the returned stream
+        pipeline(input, transform, () => {});
+        return transform;
+    }
+    
+    throw new TypeError('transformHtml expects an HTML string or a readable stream');
+}
+
+function createHtmlTransformStream(options = {}) {
+    const { Transform } = require('stream');
+    const { StringDecoder } = require('string_decoder');
+    const rewriter = new HtmlLinkRewriter(options);
+    const decoder = new StringDecoder(options.encoding || 'utf8');
+    
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            callback(null, rewriter.write(decoder.write(chunk)));
+        },
+        flush(callback) {
+            callback(null, rewriter.end(decoder.end()));
+        }
     });
+    
+    stream.rewriter = rewriter;
+    return stream;
 }
 
 // ==================================================
-// METHOD 6: Framework-Agnostic Solution with Advanced Options
+// METHOD 12: Outbound Click Tracking
 // ==================================================
 
-class LinkModifier {
+// Records clicks on external links (including middle-click and Ctrl/Cmd-click)
+// and sends them in batches with navigator.sendBeacon. Batches that cannot be
+// sent (offline, beacon refused) wait in IndexedDB and are retried later.
+// Enable through LinkModifier: new LinkModifier({ tracking: { endpoint: '/collect' } })
+
+class OutboundClickTracker {
     constructor(options = {}) {
         this.config = {
-            autoInit: true,
-            targetSelector: 'a[href]',
-            excludePatterns: [
-                /^#/,           // Anchor links
-                /^mailto:/,     // Email links
-                /^tel:/,        // Phone links
-                /^javascript:/, // JavaScript links
-            ],
-            excludeClasses: ['no-new-tab', 'internal-link'],
-            addSecurityAttributes: true,
-            enableLogging: false,
-            onLinkModified: null, // Callback function
+            endpoint: null,       // Where batches are POSTed, required
+            batchSize: 10,        // Send once this many clicks are queued
+            flushInterval: 15000, // ...or after this long (ms)
+            redactParams: [],     // Query parameters removed before sending, e.g. ['token', 'email']
+            redact: null,         // (url: URL) => URL | string, for anything redactParams can't express
+            policy: null,         // LinkPolicy used to decide what counts as external
+            databaseName: 'linkModifier',
+            storeName: 'outboundClicks',
             ...options
         };
         
-        this.observer = null;
-        this.modifiedCount = 0;
-        
-        if (this.config.autoInit) {
-            this.init();
+        if (!this.config.endpoint) {
+            throw new Error('OutboundClickTracker: an endpoint is required');
         }
+        
+        this.policy = this.config.policy || new LinkPolicy();
+        this.queue = [];
+        this.timer = null;
+        this.retryTimer = null;
+        this.retrying = null;
+        this.started = false;
+        this.store = new ClickQueueStore(this.config.databaseName, this.config.storeName);
+        
+        this.onClick = (event) => this.handleClick(event);
+        this.onOnline = () => this.retryStored();
+        this.onHide = () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        };
+        this.onPageHide = () => this.flush();
     }
     
-    init() {
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.modifyAllLinks());
-        } else {
-            this.modifyAllLinks();
+    start() {
+        if (this.started) {
+            return;
         }
         
-        this.startObserving();
+        this.started = true;
+        
+        // Capture phase, so handlers that stop propagation don't hide clicks
+        document.addEventListener('click', this.onClick, true);
+        document.addEventListener('auxclick', this.onClick, true);
+        document.addEventListener('visibilitychange', this.onHide);
+        window.addEventListener('pagehide', this.onPageHide);
+        window.addEventListener('online', this.onOnline);
+        
+        this.retryStored();
     }
     
-    modifyAllLinks() {
-        const links = document.querySelectorAll(this.config.targetSelector);
+    stop() {
+        if (!this.started) {
+            return;
+        }
         
-        links.forEach(link => this.modifyLink(link));
+        this.started = false;
+        this.flush();
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
         
-        if (this.config.enableLogging) {
-            console.log(`LinkModifier: Modified ${this.modifiedCount} links`);
-        }
+        document.removeEventListener('click', this.onClick, true);
+        document.removeEventListener('auxclick', this.onClick, true);
+        document.removeEventListener('visibilitychange', this.onHide);
+        window.removeEventListener('pagehide', this.onPageHide);
+        window.removeEventListener('online', this.onOnline);
     }
     
-    modifyLink(link) {
-        if (this.shouldExcludeLink(link) || link.hasAttribute('data-link-modified')) {
-            return false;
+    handleClick(event) {
+        // auxclick also fires for the right button, only the middle one opens links
+        if (event.type === 'auxclick' && event.button !== 1) {
+            return;
+        }
+        
+        const link = event.target.closest ? event.target.closest('a[href]') : null;
+        if (!link) {
+            return;
         }
         
-        // Set target to blank
-        link.setAttribute('target', '_blank');
+        const decision = this.policy.evaluate(link);
+        if (!decision.external) {
+            return;
+        }
         
-        // Add security attributes for external links
-        if (this.config.addSecurityAttributes && this.isExternalLink(link)) {
-            const existingRel = link.getAttribute('rel') || '';
-            const newRel = existingRel ? `${existingRel} noopener noreferrer` : 'noopener noreferrer';
-            link.setAttribute('rel', newRel);
+        let modifier = null;
+        if (event.type === 'auxclick') {
+            modifier = 'middle';
+        } else if (event.metaKey) {
+            modifier = 'meta';
+        } else if (event.ctrlKey) {
+            modifier = 'ctrl';
+        } else if (event.shiftKey) {
+            modifier = 'shift';
         }
         
-        // Mark as modified
-        link.setAttribute('data-link-modified', 'true');
+        this.record({
+            url: decision.url.href,
+            text: (link.getAttribute('aria-label') || link.textContent).trim().replace(/\s+/g, ' ').slice(0, 200),
+            page: window.location.href,
+            timestamp: new Date().toISOString(),
+            modifier
+        });
+    }
+    
+    record(click) {
+        this.queue.push({
+            ...click,
+            url: this.redactUrl(click.url),
+            page: this.redactUrl(click.page)
+        });
         
-        this.modifiedCount++;
+        if (this.queue.length >= this.config.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.config.flushInterval);
+        }
+    }
+    
+    redactUrl(href) {
+        let url;
+        try {
+            url = new URL(href);
+        } catch (e) {
+            return href;
+        }
         
-        // Call callback if provided
-        if (this.config.onLinkModified) {
-            this.config.onLinkModified(link);
+        this.config.redactParams.forEach(name => url.searchParams.delete(name));
+        
+        if (this.config.redact) {
+            const redacted = this.config.redact(url);
+            return String(redacted === undefined ? url : redacted);
         }
         
-        return true;
+        return url.href;
     }
     
-    shouldExcludeLink(link) {
-        const href = link.getAttribute('href');
+    // Send what is queued now, returns a promise for tests and teardown. It never rejects:
+    // a batch IndexedDB refuses (quota, blocked, closing) goes back in the queue for the next flush
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
         
-        // Check href patterns
-        if (this.config.excludePatterns.some(pattern => pattern.test(href))) {
-            return true;
+        if (this.queue.length === 0) {
+            return Promise.resolve(false);
         }
         
-        // Check classes
-        if (this.config.excludeClasses.some(className => link.classList.contains(className))) {
-            return true;
+        const events = this.queue.splice(0);
+        
+        // The endpoint takes beacons again, so send what earlier flushes had to store
+        if (this.send(events)) {
+            return this.retryStored().then(() => true);
         }
         
-        return false;
+        return this.store.add(events).then(() => {
+            // Refused while online (too large, or the browser's beacon quota): no online event
+            // is coming, try again after a while in case nothing else gets sent before the page goes
+            if (this.started && !this.retryTimer && (typeof navigator === 'undefined' || navigator.onLine !== false)) {
+                this.retryTimer = setTimeout(() => {
+                    this.retryTimer = null;
+                    this.retryStored();
+                }, this.config.flushInterval);
+            }
+            return false;
+        }, error => {
+            console.warn('OutboundClickTracker: could not store clicks, retrying later', error);
+            this.queue.unshift(...events);
+            if (this.started && !this.timer) {
+                this.timer = setTimeout(() => this.flush(), this.config.flushInterval);
+            }
+            return false;
+        });
     }
     
-    isExternalLink(link) {
+    send(events) {
+        if (typeof navigator === 'undefined' || typeof navigator.sendBeacon !== 'function') {
+            return false;
+        }
+        
+        if (navigator.onLine === false) {
+            return false;
+        }
+        
+        // text/plain keeps the beacon a simple CORS request, the body is still JSON
+        const body = new Blob([JSON.stringify({ events })], { type: 'text/plain;charset=UTF-8' });
+        
         try {
-            const linkUrl = new URL(link.href, window.location.origin);
-            return linkUrl.hostname !== window.location.hostname;
+            return navigator.sendBeacon(this.config.endpoint, body);
         } catch (e) {
             return false;
         }
     }
     
-    startObserving() {
-        this.observer = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                if (mutation.type === 'childList') {
-                    mutation.addedNodes.forEach((node) => {
-                        if (node.nodeType === Node.ELEMENT_NODE) {
-                            // Check if the node itself is a link
-                            if (node.tagName === 'A' && node.href) {
-                                this.modifyLink(node);
-                            }
-                            
-                            // Check for links within the node
-                            const nestedLinks = node.querySelectorAll ? node.querySelectorAll(this.config.targetSelector) : [];
-                            nestedLinks.forEach(link => this.modifyLink(link));
-                        }
-                    });
-                }
-            });
-        });
+    // Resend batches left in IndexedDB by earlier visits, while offline or refused by the browser.
+    // One run at a time, two would both read and send the same batches
+    retryStored() {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            return Promise.resolve(0);
+        }
         
-        this.observer.observe(document.body, {
-            childList: true,
-            subtree: true
-        });
-    }
-    
-    destroy() {
-        if (this.observer) {
-            this.observer.disconnect();
+        if (!this.retrying) {
+            this.retrying = this.store.getAll().then(entries => {
+                const sent = entries.filter(entry => this.send(entry.events)).map(entry => entry.id);
+                return this.store.delete(sent).then(() => sent.length);
+            }).catch(() => 0).then(count => {
+                this.retrying = null;
+                return count;
+            });
         }
-    }
-    
-    // Static method for quick implementation
-    static quickSetup(options = {}) {
-        return new LinkModifier(options);
+        return this.retrying;
     }
 }
 
-// ==================================================
-// USAGE EXAMPLES
-// ==================================================
-
-// Example 1: Basic usage
-// LinkModifier.quickSetup();
-
-// Example 2: Advanced configuration
-// const linkModifier = new LinkModifier({
-//     excludeClasses: ['internal-link', 'no-new-tab'],
-//     enableLogging: true,
-//     onLinkModified: (link) => {
-//         console.log('Modified:', link.href);
-//         link.style.borderBottom = '1px dotted #ccc';
-//     }
-// });
-
-// Example 3: For React applications (useEffect)
-// useEffect(() => {
-//     const linkModifier = LinkModifier.quickSetup({
-//         enableLogging: true
-//     });
-//     
-//     return () => linkModifier.destroy();
-// }, []);
-
-// ==================================================
-// METHOD 7: Bookmarklet Version
-// ==================================================
-
-// Create a bookmarklet by wrapping this code in javascript: protocol
-// Users can save this as a bookmark and click it on any page
-
-const bookmarkletCode = `
-javascript:(function(){
-    document.querySelectorAll('a[href]').forEach(link => {
-        if (!link.href.startsWith('#') && 
-            !link.href.startsWith('mailto:') && 
-            !link.href.startsWith('tel:') &&
-            !link.hasAttribute('data-modified')) {
-            link.setAttribute('target', '_blank');
-            link.setAttribute('rel', 'noopener noreferrer');
-            link.setAttribute('data-modified', 'true');
-            link.style.borderBottom = '2px solid #ff6b6b';
-        }
-    });
-    alert('All links modified to open in new tabs!');
-})();
-`;
-
-// ==================================================
-// METHOD 8: WordPress/CMS Integration
-// ==================================================
-
-function setupWordPressIntegration() {
-    // For WordPress themes - add to functions.php or custom plugin
-    
-    // PHP code to add to WordPress (as comment for reference):
-    /*
-    function modify_content_links($content) {
-        // Use regex to add target="_blank" to all external links
-        $content = preg_replace_callback(
-            '/<a\s+([^>]*?)href=["\']([^"\']*)["\']([^>]*?)>/i',
-            function($matches) {
-                $full_match = $matches[0];
-                $before_href = $matches[1];
-                $href = $matches[2];
-                $after_href = $matches[3];
-                
-                // Skip internal links, anchors, etc.
-                if (strpos($href, '#') === 0 || 
-                    strpos($href, 'mailto:') === 0 || 
-                    strpos($href, 'tel:') === 0) {
-                    return $full_match;
-                }
-                
-                // Add target="_blank" if not already present
-                if (strpos($full_match, 'target=') === false) {
-                    $after_href .= ' target="_blank"';
-                }
-                
-                // Add rel="noopener noreferrer" for external links
-                if (!preg_match('/^https?:\/\/' . $_SERVER['HTTP_HOST'] . '/', $href) && 
-                    strpos($full_match, 'rel=') === false) {
-                    $after_href .= ' rel="noopener noreferrer"';
-                }
-                
-                return '<a ' . $before_href . 'href="' . $href . '"' . $after_href . '>';
-            },
-            $content
-        );
-        
-        return $content;
+// Small promise wrapper around one IndexedDB object store, falls back to memory
+class ClickQueueStore {
+    constructor(databaseName, storeName) {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.database = null;
+        this.memory = [];
+        this.nextId = 1;
     }
     
-    add_filter('the_content', 'modify_content_links');
-    add_filter('widget_text', 'modify_content_links');
-    */
-}
-
-// ==================================================
-// METHOD 9: Browser Extension Content Script
-// ==================================================
-
-function createContentScript() {
-    // For browser extension manifest.json:
-    /*
-    {
-        "manifest_version": 3,
-        "name": "New Tab Links",
-        "version": "1.0",
-        "content_scripts": [
-            {
-                "matches": ["<all_urls>"],
-                "js": ["content.js"],
-                "run_at": "document_end"
-            }
-        ]
+    open() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.resolve(null);
+        }
+        
+        if (!this.database) {
+            this.database = new Promise((resolve) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                // Private browsing can refuse IndexedDB, keep the batches in memory instead
+                request.onerror = () => resolve(null);
+            });
+        }
+        
+        return this.database;
     }
-    */
     
-    // content.js file content:
-    const contentScriptCode = `
-        (function() {
-            function modifyLinks() {
-                document.querySelectorAll('a[href]:not([data-modified])').forEach(link => {
-                    const href = link.getAttribute('href');
-                    
-                    if (!href.startsWith('#') && 
-                        !href.startsWith('mailto:') && 
-                        !href.startsWith('tel:')) {
-                        link.setAttribute('target', '_blank');
-                        link.setAttribute('rel', 'noopener noreferrer');
-                        link.setAttribute('data-modified', 'true');
-                    }
-                });
+    transaction(mode, work) {
+        return this.open().then(database => {
+            if (!database) {
+                return work(null);
             }
             
-            // Initial modification
-            modifyLinks();
-            
-            // Observe for new links
-            const observer = new MutationObserver(modifyLinks);
-            observer.observe(document.body, { childList: true, subtree: true });
-        })();
-    `;
-    
-    return contentScriptCode;
-}
-
-// ==================================================
-// METHOD 10: Testing and Debugging Functions
-// ==================================================
-
-const LinkModifierDebug = {
-    // Count all links on page
-    countLinks() {
-        const total = document.querySelectorAll('a[href]').length;
-        const modified = document.querySelectorAll('a[data-modified]').length;
-        const external = document.querySelectorAll('a[target="_blank"]').length;
-        
-        console.table({
-            'Total Links': total,
-            'Modified Links': modified,
-            'External Links': external,
-            'Unmodified': total - modified
-        });
-    },
-    
-    // Highlight modified links
-    highlightModified() {
-        document.querySelectorAll('a[data-modified]').forEach(link => {
-            link.style.outline = '2px solid #ff6b6b';
-            link.style.outlineOffset = '2px';
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(this.storeName, mode);
+                const result = work(transaction.objectStore(this.storeName));
+                transaction.oncomplete = () => resolve(result && result.result !== undefined ? result.result : result);
+                transaction.onerror = () => reject(transaction.error);
+                // A quota error aborts the transaction without an error event on it
+                transaction.onabort = () => reject(transaction.error);
+            });
         });
-    },
+    }
     
-    // Remove all modifications
-    resetAllLinks() {
-        document.querySelectorAll('a[data-modified]').forEach(link => {
-            link.removeAttribute('target');
-            link.removeAttribute('data-modified');
-            
-            // Clean up rel attribute
-            const rel = link.getAttribute('rel');
-            if (rel) {
-                const cleanRel = rel.replace(/noopener|noreferrer/g, '').trim();
-                if (cleanRel) {
-                    link.setAttribute('rel', cleanRel);
-                } else {
-                    link.removeAttribute('rel');
-                }
+    add(events) {
+        return this.transaction('readwrite', store => {
+            const entry = { events, storedAt: new Date().toISOString() };
+            if (!store) {
+                this.memory.push({ ...entry, id: this.nextId++ });
+                return null;
             }
+            return store.add(entry);
         });
-        console.log('All link modifications removed');
-    },
+    }
     
-    // Test specific selectors
-    testSelector(selector) {
-        const links = document.querySelectorAll(selector);
-        console.log(`Selector "${selector}" matches ${links.length} elements:`);
-        links.forEach((link, index) => {
-            console.log(`${index + 1}. ${link.href} - ${link.textContent.trim()}`);
+    getAll() {
+        return this.transaction('readonly', store => (store ? store.getAll() : this.memory.slice()));
+    }
+    
+    delete(ids) {
+        if (ids.length === 0) {
+            return Promise.resolve();
+        }
+        
+        return this.transaction('readwrite', store => {
+            if (!store) {
+                this.memory = this.memory.filter(entry => !ids.includes(entry.id));
+                return null;
+            }
+            ids.forEach(id => store.delete(id));
+            return null;
         });
     }
-};
+}
 
 // ==================================================
 // QUICK START IMPLEMENTATIONS
@@ -691,9 +3914,25 @@ const LinkModifierDebug = {
 
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        LinkPolicy,
+        LinkSecurityGuard,
+        LinkUrlRewriter,
+        LinkStateTracker,
+        NewTabAnnouncer,
+        LinkMutationBatcher,
+        Punycode,
         LinkModifier,
         LinkModifierDebug,
+        useNewTabLinks,
+        LinkOptionsProvider,
+        ExternalLink,
         setupEventDelegation,
-        createContentScript
+        ExternalLinkInterstitial,
+        createBookmarklet,
+        minifyScript,
+        transformHtml,
+        createHtmlTransformStream,
+        HtmlLinkRewriter,
+        OutboundClickTracker
     };
 }
@@ -0,0 +1,1077 @@
+// ==================================================
+// JOB BOARD DATA
+// Filtering, ranked search, facet counts and paging over job postings, and the
+// data sources the page loads them from. The same code answers the REST API in
+// bin/mock-jobs-server.js, so both sides agree on what a query means.
+// ==================================================
+
+// const source = new RestJobSource({ baseUrl: '/api' });
+// const { jobs, total, facets } = await source.list({ filters: { keyword: 'react' }, sort: 'newest', page: 2 });
+// const { job } = await source.create({ title: 'Data Engineer', ..., salaryRange: { min: 12, max: 18 } });
+
+(function(root) {
+    'use strict';
+
+    // ==================================================
+    // SEARCH INDEX
+    // Ranked, typo tolerant, prefix and synonym aware
+    // ==================================================
+
+    // Fields and how much a match in each counts
+    const SEARCH_FIELDS = { title: 3, skills: 2.5, company: 2, description: 1 };
+
+    // Query term -> phrases that count as the same thing
+    const SEARCH_SYNONYMS = {
+        js: ['javascript'],
+        javascript: ['js'],
+        ts: ['typescript'],
+        typescript: ['ts'],
+        reactjs: ['react'],
+        vuejs: ['vue'],
+        nodejs: ['node'],
+        ml: ['machine learning'],
+        ai: ['artificial intelligence', 'machine learning'],
+        ux: ['user experience'],
+        ui: ['user interface'],
+        sde: ['software engineer', 'software developer'],
+        swe: ['software engineer'],
+        dev: ['developer'],
+        developer: ['engineer'],
+        engineer: ['developer'],
+        frontend: ['front end'],
+        backend: ['back end'],
+        k8s: ['kubernetes'],
+        aws: ['amazon web services'],
+        hr: ['human resources'],
+        qa: ['quality assurance']
+    };
+
+    // Words, keeping the +/# of C++ and C#
+    const TOKEN_PATTERN = /[\p{L}\p{N}]+[+#]*/gu;
+
+    function normalizeToken(token) {
+        return token.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    // Dotted names like Node.js also give a joined "nodejs" token
+    function searchTokens(text, compounds = null) {
+        const tokens = [];
+        let previous = null;
+
+        for (const match of String(text).matchAll(TOKEN_PATTERN)) {
+            const token = normalizeToken(match[0]);
+            tokens.push(token);
+
+            if (previous && text[previous.end] === '.' && match.index === previous.end + 1) {
+                const joined = previous.token + token;
+                tokens.push(joined);
+                if (compounds) {
+                    compounds.set(joined, [previous.token, token]);
+                }
+            }
+            previous = { token, end: match.index + match[0].length };
+        }
+
+        return tokens;
+    }
+
+    // Optimal string alignment distance, gives up once it exceeds max
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) {
+            return max + 1;
+        }
+
+        let previousRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+        let beforePrevious = null;
+
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost);
+                if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, beforePrevious[j - 2] + 1);
+                }
+                row.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > max) {
+                return max + 1;
+            }
+            beforePrevious = previousRow;
+            previousRow = row;
+        }
+
+        return previousRow[b.length];
+    }
+
+    class JobSearchIndex {
+        constructor(fields = SEARCH_FIELDS) {
+            this.fields = fields;
+            this.postings = new Map();  // term -> Map(jobId -> field weight)
+            this.compounds = new Map(); // "nodejs" -> ["node", "js"], to highlight the parts
+            this.docCount = 0;
+            this.vocabulary = null;     // Sorted terms, for prefix lookups
+            this.termsByLength = null;  // Length -> terms, for typo lookups
+            this.cache = new Map();
+        }
+
+        add(job) {
+            this.docCount++;
+
+            Object.keys(this.fields).forEach(field => {
+                // Separators between skills, so they never join into one compound
+                const text = Array.isArray(job[field]) ? job[field].join(' , ') : String(job[field] || '');
+
+                searchTokens(text, this.compounds).forEach(term => {
+                    if (!this.postings.has(term)) {
+                        this.postings.set(term, new Map());
+                    }
+                    const docs = this.postings.get(term);
+                    docs.set(job.id, (docs.get(job.id) || 0) + this.fields[field]);
+                });
+            });
+
+            this.vocabulary = null;
+            this.termsByLength = null;
+            this.cache.clear();
+        }
+
+        // Takes back what add(job) indexed, job must be the object that was added
+        remove(job) {
+            this.docCount--;
+
+            Object.keys(this.fields).forEach(field => {
+                const text = Array.isArray(job[field]) ? job[field].join(' , ') : String(job[field] || '');
+
+                searchTokens(text).forEach(term => {
+                    const docs = this.postings.get(term);
+                    // A compound goes with the last job that has it
+                    if (docs && docs.delete(job.id) && docs.size === 0) {
+                        this.postings.delete(term);
+                        this.compounds.delete(term);
+                    }
+                });
+            });
+
+            this.vocabulary = null;
+            this.termsByLength = null;
+            this.cache.clear();
+        }
+
+        prepareLookups() {
+            if (this.vocabulary) {
+                return;
+            }
+
+            this.vocabulary = Array.from(this.postings.keys()).sort();
+            this.termsByLength = new Map();
+            this.vocabulary.forEach(term => {
+                if (!this.termsByLength.has(term.length)) {
+                    this.termsByLength.set(term.length, []);
+                }
+                this.termsByLength.get(term.length).push(term);
+            });
+        }
+
+        prefixMatches(prefix, limit = 50) {
+            const terms = this.vocabulary;
+            let low = 0;
+            let high = terms.length;
+
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (terms[mid] < prefix) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+
+            const matches = [];
+            for (let i = low; i < terms.length && terms[i].startsWith(prefix) && matches.length < limit; i++) {
+                if (terms[i] !== prefix) {
+                    matches.push(terms[i]);
+                }
+            }
+            return matches;
+        }
+
+        fuzzyMatches(term) {
+            const maxEdits = term.length >= 8 ? 2 : 1;
+            const matches = [];
+
+            for (let length = term.length - maxEdits; length <= term.length + maxEdits; length++) {
+                (this.termsByLength.get(length) || []).forEach(candidate => {
+                    const distance = editDistance(term, candidate, maxEdits);
+                    if (distance > 0 && distance <= maxEdits) {
+                        matches.push({ words: [candidate], weight: distance === 1 ? 0.6 : 0.4 });
+                    }
+                });
+            }
+            return matches;
+        }
+
+        // Ways a query term can match: [{ words, weight }], every word of an alternative must be present
+        expand(term) {
+            const alternatives = [{ words: [term], weight: 1 }];
+
+            if (term.length >= 2) {
+                this.prefixMatches(term).forEach(candidate => {
+                    alternatives.push({ words: [candidate], weight: 0.8 * term.length / candidate.length });
+                });
+            }
+
+            // Typos only when the word is not in the index as typed
+            if (term.length >= 4 && !this.postings.has(term)) {
+                alternatives.push(...this.fuzzyMatches(term));
+            }
+
+            (SEARCH_SYNONYMS[term] || []).forEach(phrase => {
+                alternatives.push({ words: searchTokens(phrase), weight: 0.9 });
+            });
+
+            return alternatives;
+        }
+
+        // Best score and matched terms per job for one query term
+        matchTerm(term) {
+            const scores = new Map();
+
+            this.expand(term).forEach(({ words, weight }) => {
+                const lists = words.map(word => this.postings.get(word));
+                if (lists.some(list => !list)) {
+                    return;
+                }
+
+                lists[0].forEach((_, jobId) => {
+                    if (!lists.every(list => list.has(jobId))) {
+                        return;
+                    }
+
+                    const score = weight * lists.reduce((sum, list) =>
+                        sum + list.get(jobId) * Math.log(1 + this.docCount / list.size), 0) / lists.length;
+                    const current = scores.get(jobId);
+
+                    if (!current) {
+                        scores.set(jobId, { score, terms: new Set(words) });
+                    } else {
+                        current.score = Math.max(current.score, score);
+                        words.forEach(word => current.terms.add(word));
+                    }
+                });
+            });
+
+            return scores;
+        }
+
+        // Map(jobId -> { score, terms }) of jobs matching every query term, null for an empty query
+        search(query) {
+            const terms = [...new Set(searchTokens(query))];
+            if (terms.length === 0) {
+                return null;
+            }
+
+            const key = terms.join(' ');
+            if (this.cache.has(key)) {
+                return this.cache.get(key);
+            }
+
+            this.prepareLookups();
+            let results = null;
+
+            for (const term of terms) {
+                const scores = this.matchTerm(term);
+
+                if (!results) {
+                    results = scores;
+                } else {
+                    results.forEach((result, jobId) => {
+                        const match = scores.get(jobId);
+                        if (!match) {
+                            results.delete(jobId);
+                            return;
+                        }
+                        result.score += match.score;
+                        match.terms.forEach(word => result.terms.add(word));
+                    });
+                }
+
+                if (results.size === 0) {
+                    break;
+                }
+            }
+
+            // Highlight the parts of matched compounds, they are what the text shows
+            results.forEach(result => {
+                result.terms.forEach(word => {
+                    (this.compounds.get(word) || []).forEach(part => result.terms.add(part));
+                });
+            });
+
+            this.cache.set(key, results);
+            return results;
+        }
+    }
+
+    // Every filter the visitor can set, applied together
+    const DEFAULT_FILTERS = {
+        keyword: '',
+        city: '',
+        experience: '',
+        category: 'all',
+        remote: false,
+        salary: ''
+    };
+
+    const DEFAULT_PAGE_SIZE = 6;
+    const MAX_PAGE_SIZE = 100;
+
+    // Values the page offers for each facet, counts are reported for these
+    const FACET_VALUES = {
+        city: ['bangalore', 'mumbai', 'delhi', 'hyderabad', 'pune', 'chennai', 'kolkata', 'ahmedabad'],
+        experience: ['0-1', '1-3', '3-5', '5-10', '10+'],
+        salary: ['0-10', '10-20', '20-30', '30+'],
+        category: ['all', 'tech', 'finance', 'marketing', 'design', 'sales']
+    };
+
+    // Other names postings use for the facet cities
+    const CITY_ALIASES = {
+        bengaluru: 'bangalore',
+        bombay: 'mumbai',
+        'new delhi': 'delhi',
+        madras: 'chennai',
+        calcutta: 'kolkata'
+    };
+
+    // " pune", "Pune, Maharashtra" and "Bengaluru" -> the city facet value, '' for anywhere else
+    function cityOf(location) {
+        const name = String(location || '').split(',')[0].trim().replace(/\s+/g, ' ').toLowerCase();
+        const city = CITY_ALIASES[name] || name;
+        return FACET_VALUES.city.includes(city) ? city : '';
+    }
+
+    // Postings repeat a handful of range texts, parse each once
+    const rangeCache = new Map();
+
+    // "3-5 years" -> { min: 3, max: 5 }, "₹12-18 LPA" -> { min: 12, max: 18 }, "10+" -> { min: 10, max: Infinity }
+    function parseRange(text) {
+        const key = String(text);
+        if (rangeCache.has(key)) {
+            return rangeCache.get(key);
+        }
+
+        const numbers = key.replace(/,/g, '').match(/\d+(\.\d+)?/g);
+        let range = null;
+        if (numbers) {
+            const min = parseFloat(numbers[0]);
+            range = key.includes('+') ? { min, max: Infinity } : { min, max: numbers.length > 1 ? parseFloat(numbers[1]) : min };
+        }
+
+        rangeCache.set(key, range);
+        return range;
+    }
+
+    // "1-3" matches a "2-4 years" job, both ranges share 2-3
+    function rangesOverlap(wanted, offered) {
+        if (!wanted || !offered) {
+            return false;
+        }
+        return wanted.min <= offered.max && offered.min <= wanted.max;
+    }
+
+    // One test per filter, an empty value matches every job. context.searchResults holds the keyword's matches
+    const FACETS = {
+        keyword: (job, keyword, context) => !keyword || !context.searchResults || context.searchResults.has(job.id),
+        city: (job, city) => !city || cityOf(job.location) === city,
+        experience: (job, experience) => !experience || rangesOverlap(parseRange(experience), parseRange(job.experience)),
+        category: (job, category) => category === 'all' || job.category === category,
+        remote: (job, remote) => !remote || job.type === 'Remote' || job.location === 'Remote',
+        salary: (job, salary) => !salary || rangesOverlap(parseRange(salary), parseRange(job.salary))
+    };
+
+    // Employers can close a posting, it stays reachable by its link but leaves the results
+    function isOpen(job) {
+        return job.status !== 'closed';
+    }
+
+    function matchesFilters(job, state, context = {}) {
+        return Object.keys(FACETS).every(facet => FACETS[facet](job, state[facet], context));
+    }
+
+    const DAY = 24 * 60 * 60 * 1000;
+
+    // Age in days, from postedAt when the source has it, else from text like "2 days ago"
+    function postedDaysAgo(job, now = Date.now()) {
+        if (job.postedAt) {
+            return (now - Date.parse(job.postedAt)) / DAY;
+        }
+
+        const match = /(\d+)\s*(hour|day|week|month)/i.exec(job.posted);
+        if (!match) {
+            return /just now|today/i.test(job.posted) ? 0 : Infinity;
+        }
+        const days = { hour: 1 / 24, day: 1, week: 7, month: 30 };
+        return Number(match[1]) * days[match[2].toLowerCase()];
+    }
+
+    // "Just now", "5 hours ago", "3 days ago"
+    function postedLabel(job, now = Date.now()) {
+        if (!job.postedAt) {
+            return job.posted || '';
+        }
+
+        const hours = Math.floor((now - Date.parse(job.postedAt)) / (60 * 60 * 1000));
+        if (hours < 1) {
+            return 'Just now';
+        }
+        if (hours < 24) {
+            return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+        }
+        const days = Math.floor(hours / 24);
+        return `${days} day${days === 1 ? '' : 's'} ago`;
+    }
+
+    function salaryCeiling(job) {
+        const range = parseRange(job.salary);
+        return range ? range.max : 0;
+    }
+
+    // Sort orders, relevance is the search ranking and then the newest first
+    const SORTS = {
+        relevance: (a, b, context) => {
+            const results = context.searchResults;
+            const score = results ? results.get(b.id).score - results.get(a.id).score : 0;
+            return score || SORTS.newest(a, b);
+        },
+        newest: (a, b) => postedDaysAgo(a) - postedDaysAgo(b),
+        salary: (a, b) => salaryCeiling(b) - salaryCeiling(a)
+    };
+
+    // Query <-> URL parameters, used by the page's own URL and the REST API. Defaults stay out
+    function toSearchParams({ filters = {}, sort = 'relevance', page = 1, pageSize } = {}) {
+        const state = { ...DEFAULT_FILTERS, ...filters };
+        const entries = [
+            ['q', state.keyword],
+            ['city', state.city],
+            ['experience', state.experience],
+            ['salary', state.salary],
+            ['category', state.category === 'all' ? '' : state.category],
+            ['remote', state.remote ? '1' : ''],
+            ['sort', sort === 'relevance' ? '' : sort],
+            ['page', page > 1 ? String(page) : ''],
+            ['pageSize', pageSize ? String(pageSize) : '']
+        ];
+
+        return new URLSearchParams(entries.filter(([, value]) => value));
+    }
+
+    function fromSearchParams(params) {
+        const pageSize = parseInt(params.get('pageSize'), 10) || DEFAULT_PAGE_SIZE;
+
+        return {
+            filters: {
+                ...DEFAULT_FILTERS,
+                keyword: (params.get('q') || '').trim().toLowerCase(),
+                city: params.get('city') || '',
+                experience: params.get('experience') || '',
+                salary: params.get('salary') || '',
+                category: params.get('category') || 'all',
+                remote: params.get('remote') === '1'
+            },
+            sort: SORTS[params.get('sort')] ? params.get('sort') : 'relevance',
+            page: Math.max(1, parseInt(params.get('page'), 10) || 1),
+            pageSize: Math.min(Math.max(1, pageSize), MAX_PAGE_SIZE)
+        };
+    }
+
+    // Jobs there would be for each facet value, with every other filter kept
+    function facetCounts(jobs, state, context) {
+        const counts = {};
+
+        Object.keys(FACET_VALUES).forEach(facet => {
+            const others = jobs.filter(job =>
+                Object.keys(FACETS).every(name => name === facet || FACETS[name](job, state[name], context)));
+
+            counts[facet] = {};
+            FACET_VALUES[facet].forEach(value => {
+                counts[facet][value] = others.filter(job => FACETS[facet](job, value, context)).length;
+            });
+        });
+
+        counts.remote = jobs.filter(job => matchesFilters(job, { ...state, remote: true }, context)).length;
+        return counts;
+    }
+
+    // One page of matching jobs, with the totals, facet counts and matched search terms the page shows
+    function queryJobs(jobs, index, { filters = {}, sort = 'relevance', page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+        const state = { ...DEFAULT_FILTERS, ...filters };
+        const context = { searchResults: state.keyword ? index.search(state.keyword) : null };
+        const compare = SORTS[sort] || SORTS.relevance;
+
+        const open = jobs.filter(isOpen);
+        const matched = open.filter(job => matchesFilters(job, state, context)).sort((a, b) => compare(a, b, context));
+        const size = Math.min(Math.max(1, pageSize), MAX_PAGE_SIZE);
+        const pageCount = Math.max(1, Math.ceil(matched.length / size));
+        const current = Math.min(Math.max(1, page), pageCount);
+        const pageJobs = matched.slice((current - 1) * size, current * size);
+
+        const terms = {};
+        if (context.searchResults) {
+            pageJobs.forEach(job => {
+                terms[job.id] = [...context.searchResults.get(job.id).terms];
+            });
+        }
+
+        return {
+            jobs: pageJobs,
+            total: matched.length,
+            page: current,
+            pageSize: size,
+            pageCount,
+            facets: facetCounts(open, state, context),
+            terms
+        };
+    }
+
+    // The few jobs in a list that match saved filters, e.g. new postings against a saved search
+    function matchingJobs(jobs, filters) {
+        const index = new JobSearchIndex();
+        jobs.forEach(job => index.add(job));
+        const state = { ...DEFAULT_FILTERS, ...filters };
+        const context = { searchResults: state.keyword ? index.search(state.keyword) : null };
+        return jobs.filter(job => matchesFilters(job, state, context));
+    }
+
+    // Other postings sharing skills with this one, the same category counts too
+    function similarJobs(job, jobs, limit = 3) {
+        const skills = new Set(job.skills.map(skill => skill.toLowerCase()));
+
+        return jobs
+            .filter(other => other.id !== job.id && isOpen(other))
+            .map(other => ({
+                job: other,
+                score: other.skills.filter(skill => skills.has(skill.toLowerCase())).length * 2 +
+                    (other.category === job.category ? 1 : 0)
+            }))
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(match => match.job);
+    }
+
+    function jobStats(jobs) {
+        const open = jobs.filter(isOpen);
+        return {
+            jobs: open.length,
+            companies: new Set(open.map(job => job.company)).size
+        };
+    }
+
+    // ==================================================
+    // EMPLOYER POSTINGS
+    // What the posting form sends, checked the same way on the page and by the API
+    // ==================================================
+
+    const JOB_TYPES = ['Full-time', 'Part-time', 'Contract', 'Internship', 'Remote'];
+    const JOB_CATEGORIES = FACET_VALUES.category.filter(category => category !== 'all');
+
+    // [min, max] length of the text fields, all required
+    const POSTING_TEXT_LENGTHS = {
+        title: [3, 100],
+        company: [2, 80],
+        location: [2, 60],
+        description: [30, 5000]
+    };
+    const MAX_URL_LENGTH = 500;
+    const MAX_SKILLS = 12;
+    const MAX_SKILL_LENGTH = 40;
+    const MAX_EXPERIENCE_YEARS = 50;
+    const MAX_SALARY_LPA = 500;
+
+    // { min: 3, max: 5 } -> "3-5 years", { min: 10, max: null } -> "10+ years", the text the filters parse
+    function formatExperience({ min, max }) {
+        if (max === null || max === undefined) {
+            return `${min}+ years`;
+        }
+        return min === max ? `${min} year${min === 1 ? '' : 's'}` : `${min}-${max} years`;
+    }
+
+    // { min: 12, max: 18 } -> "₹12-18 LPA"
+    function formatSalary({ min, max }) {
+        if (max === null || max === undefined) {
+            return `₹${min}+ LPA`;
+        }
+        return min === max ? `₹${min} LPA` : `₹${min}-${max} LPA`;
+    }
+
+    // Skills as a list or "React, Node.js", without repeats
+    function parseSkills(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split(',');
+        const seen = new Set();
+
+        return list.map(skill => String(skill).trim().replace(/\s+/g, ' ')).filter(skill => {
+            const key = skill.toLowerCase();
+            if (!skill || seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    }
+
+    // { posting, errors }. posting is the cleaned up input, also when it has errors (e.g. for a preview).
+    // errors maps each field to a message, null when the posting can be saved
+    function validatePosting(input = {}) {
+        const errors = {};
+        const text = name => typeof input[name] === 'string' ? input[name].trim() : '';
+        const number = value => (value === '' || value === null || value === undefined ? null : Number(value));
+
+        const posting = {
+            title: text('title').replace(/\s+/g, ' '),
+            company: text('company').replace(/\s+/g, ' '),
+            location: text('location').replace(/\s+/g, ' '),
+            type: text('type'),
+            category: text('category'),
+            skills: parseSkills(input.skills),
+            description: text('description')
+        };
+
+        Object.keys(POSTING_TEXT_LENGTHS).forEach(name => {
+            const [min, max] = POSTING_TEXT_LENGTHS[name];
+            if (!posting[name]) {
+                errors[name] = 'This field is required.';
+            } else if (posting[name].length < min || posting[name].length > max) {
+                errors[name] = `Use ${min} to ${max} characters.`;
+            }
+        });
+
+        // Saved the way the city filter names it, "Pune, Maharashtra" -> "Pune"
+        const city = cityOf(posting.location);
+        if (city) {
+            posting.location = city.charAt(0).toUpperCase() + city.slice(1);
+        } else if (posting.location.toLowerCase() === 'remote') {
+            posting.location = 'Remote';
+        }
+
+        if (!JOB_TYPES.includes(posting.type)) {
+            errors.type = `Choose one of ${JOB_TYPES.join(', ')}.`;
+        }
+        if (!JOB_CATEGORIES.includes(posting.category)) {
+            errors.category = 'Choose a category.';
+        }
+
+        // Optional link to the posting on the company's careers site
+        posting.careersUrl = text('careersUrl');
+        if (posting.careersUrl) {
+            let url = null;
+            try {
+                url = new URL(posting.careersUrl);
+            } catch (e) {
+                url = null;
+            }
+            if (!url || !/^https?:$/.test(url.protocol) || posting.careersUrl.length > MAX_URL_LENGTH) {
+                errors.careersUrl = 'Enter a web address starting with https://.';
+            } else {
+                posting.careersUrl = url.href;
+            }
+        }
+
+        if (posting.skills.length === 0) {
+            errors.skills = 'Add at least one skill.';
+        } else if (posting.skills.length > MAX_SKILLS) {
+            errors.skills = `Add up to ${MAX_SKILLS} skills.`;
+        } else if (posting.skills.some(skill => skill.length > MAX_SKILL_LENGTH)) {
+            errors.skills = `Keep each skill under ${MAX_SKILL_LENGTH} characters.`;
+        }
+
+        // Ranges: a minimum, and a maximum that may be left open ("10+ years")
+        [['experienceRange', MAX_EXPERIENCE_YEARS, 'years of experience', formatExperience],
+            ['salaryRange', MAX_SALARY_LPA, 'salary in LPA', formatSalary]].forEach(([name, limit, unit, format]) => {
+            const value = input[name] || {};
+            const range = { min: number(value.min), max: number(value.max) };
+            const inLimits = n => Number.isFinite(n) && n >= 0 && n <= limit;
+
+            if (range.min === null) {
+                errors[name] = `Enter the minimum ${unit}.`;
+            } else if (!inLimits(range.min) || (range.max !== null && !inLimits(range.max))) {
+                errors[name] = `Use ${unit} from 0 to ${limit}.`;
+            } else if (range.max !== null && range.max < range.min) {
+                errors[name] = 'The maximum can\'t be lower than the minimum.';
+            }
+
+            posting[name] = range;
+            posting[name === 'experienceRange' ? 'experience' : 'salary'] = errors[name] ? '' : format(range);
+        });
+
+        return { posting, errors: Object.keys(errors).length ? errors : null };
+    }
+
+    // ==================================================
+    // DATA SOURCES
+    // Both answer list(query), get(id), updates(cursor) and stats() with promises, and
+    // postings(), create(posting), update(id, posting), close(id) and repost(id) for employers
+    // ==================================================
+
+    class JobSourceError extends Error {
+        constructor(message, { status = 0, retryable = false, retryAfter = 0, errors = null } = {}) {
+            super(message);
+            this.name = 'JobSourceError';
+            this.status = status;          // HTTP status, 0 for network errors and timeouts
+            this.retryable = retryable;
+            this.retryAfter = retryAfter;  // Milliseconds the server asked us to wait
+            this.errors = errors;          // Field -> message, for a posting that didn't validate
+        }
+    }
+
+    // Postings held in memory, e.g. the sample bundled with the page, or the mock API's
+    class StaticJobSource {
+        constructor(jobs, options = {}) {
+            this.config = {
+                upcoming: [],              // Released one per updates() call, a stand-in for a live feed
+                jobSeekers: null,
+                postings: [],              // Employer postings saved by an earlier run
+                onPostingsChange: null,    // (postings) after every change, to save them
+                ...options
+            };
+
+            this.jobs = [];
+            this.byId = new Map();
+            this.feed = [];  // Ids in the order they were posted (or reposted), updates() cursors point into it
+            this.upcoming = [...this.config.upcoming];
+            this.index = new JobSearchIndex();
+            jobs.forEach(job => this.add(job));
+
+            // A saved posting whose id has been taken since gets a new one
+            let renumbered = false;
+            this.config.postings.forEach(posting => {
+                renumbered = renumbered || Boolean(this.find(posting.id));
+                this.add(this.find(posting.id) ? { ...posting, id: this.nextId() } : posting);
+            });
+            if (renumbered) {
+                this.savePostings();
+            }
+        }
+
+        add(job) {
+            this.jobs.push(job);
+            this.byId.set(job.id, job);
+            this.feed.push(job.id);
+            this.index.add(job);
+        }
+
+        find(id) {
+            return this.byId.get(Number(id)) || null;
+        }
+
+        nextId() {
+            return [...this.jobs, ...this.upcoming].reduce((max, job) => Math.max(max, job.id), 0) + 1;
+        }
+
+        async list(query) {
+            return queryJobs(this.jobs, this.index, query);
+        }
+
+        async get(id) {
+            const job = this.find(id);
+            if (!job) {
+                throw new JobSourceError(`Job ${id} not found`, { status: 404 });
+            }
+            return { job, similar: similarJobs(job, this.jobs) };
+        }
+
+        // Postings added since cursor, a position in the feed. A null cursor only asks where the feed is
+        async updates(cursor) {
+            if (cursor !== null && cursor !== undefined && this.upcoming.length > 0) {
+                this.add(this.upcoming.shift());
+            }
+
+            const ids = cursor === null || cursor === undefined ? [] : [...new Set(this.feed.slice(Number(cursor)))];
+            return { jobs: ids.map(id => this.find(id)).filter(isOpen), cursor: this.feed.length };
+        }
+
+        async stats() {
+            return { ...jobStats(this.jobs), jobSeekers: this.config.jobSeekers };
+        }
+
+        // Employer postings, open and closed, newest first
+        async postings() {
+            return { jobs: this.jobs.filter(job => job.employer).reverse() };
+        }
+
+        async create(input) {
+            const job = { id: this.nextId(), ...checkPosting(input), employer: true, status: 'open', postedAt: new Date().toISOString() };
+            this.add(job);
+            this.savePostings();
+            return { job };
+        }
+
+        async update(id, input) {
+            const job = this.editable(id);
+            return { job: this.replace(job, { ...job, ...checkPosting(input), updatedAt: new Date().toISOString() }) };
+        }
+
+        async close(id) {
+            const job = this.editable(id);
+            return { job: this.replace(job, { ...job, status: 'closed', closedAt: new Date().toISOString() }) };
+        }
+
+        // Back on the board as a new posting, so the feed and saved searches pick it up again
+        async repost(id) {
+            const job = this.editable(id);
+            const reposted = { ...job, status: 'open', postedAt: new Date().toISOString() };
+            delete reposted.closedAt;
+
+            this.jobs.splice(this.jobs.indexOf(job), 1);
+            this.index.remove(job);
+            this.add(reposted);
+            this.savePostings();
+            return { job: reposted };
+        }
+
+        // Only postings made through the employer form can be changed
+        editable(id) {
+            const job = this.find(id);
+            if (!job) {
+                throw new JobSourceError(`Job ${id} not found`, { status: 404 });
+            }
+            if (!job.employer) {
+                throw new JobSourceError(`Job ${id} was not posted through the employer portal`, { status: 403 });
+            }
+            return job;
+        }
+
+        replace(job, updated) {
+            this.jobs[this.jobs.indexOf(job)] = updated;
+            this.byId.set(updated.id, updated);
+            this.index.remove(job);
+            this.index.add(updated);
+            this.savePostings();
+            return updated;
+        }
+
+        savePostings() {
+            if (this.config.onPostingsChange) {
+                this.config.onPostingsChange(this.jobs.filter(job => job.employer));
+            }
+        }
+    }
+
+    // The validated fields of a posting, or a 422 with the field errors
+    function checkPosting(input) {
+        const { posting, errors } = validatePosting(input);
+        if (errors) {
+            throw new JobSourceError('The posting has errors', { status: 422, errors });
+        }
+        return posting;
+    }
+
+    // The REST/JSON API, with ETag revalidation and retries for network errors, 429 and 5xx
+    class RestJobSource {
+        constructor(options = {}) {
+            this.config = {
+                baseUrl: '/api',
+                retries: 3,          // Extra attempts after the first
+                retryDelay: 500,     // Doubles on every attempt, unless the server sends Retry-After
+                timeout: 10000,
+                cacheSize: 100,      // Responses kept for If-None-Match
+                fetch: (...args) => fetch(...args),
+                onRetry: null,       // (error, attempt, delay) before waiting for the next attempt
+                ...options
+            };
+
+            this.cache = new Map();  // url -> { etag, data }
+        }
+
+        list(query) {
+            return this.request(`/jobs?${toSearchParams({ pageSize: DEFAULT_PAGE_SIZE, ...query })}`);
+        }
+
+        get(id) {
+            return this.request(`/jobs/${encodeURIComponent(id)}`);
+        }
+
+        updates(cursor) {
+            return this.request(cursor === null || cursor === undefined ? '/jobs/updates' : `/jobs/updates?since=${encodeURIComponent(cursor)}`);
+        }
+
+        stats() {
+            return this.request('/stats');
+        }
+
+        postings() {
+            return this.request('/postings');
+        }
+
+        create(posting) {
+            return this.send('POST', '/jobs', posting);
+        }
+
+        update(id, posting) {
+            return this.send('PUT', `/jobs/${encodeURIComponent(id)}`, posting);
+        }
+
+        close(id) {
+            return this.send('POST', `/jobs/${encodeURIComponent(id)}/close`);
+        }
+
+        repost(id) {
+            return this.send('POST', `/jobs/${encodeURIComponent(id)}/repost`);
+        }
+
+        // Changes go out once, retrying one that timed out could post the same job twice.
+        // A timeout is still flagged retryable, for the page to offer another try
+        async send(method, path, body) {
+            const url = this.config.baseUrl.replace(/\/$/, '') + path;
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            const timer = controller ? setTimeout(() => controller.abort(), this.config.timeout) : null;
+            const timedOut = () => new JobSourceError('The request timed out', { retryable: true });
+
+            try {
+                let response;
+                try {
+                    response = await this.config.fetch(url, {
+                        method,
+                        headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+                        body: body === undefined ? undefined : JSON.stringify(body),
+                        signal: controller ? controller.signal : undefined
+                    });
+                } catch (error) {
+                    throw error.name === 'AbortError' ? timedOut() : new JobSourceError(`Network error: ${error.message}`);
+                }
+
+                // No body, invalid JSON or a bare null/number/string all read as {}
+                const data = await response.json().then(json => (json && typeof json === 'object' ? json : {}), () => ({}));
+                if (controller && controller.signal.aborted) {
+                    throw timedOut();
+                }
+                if (!response.ok) {
+                    throw new JobSourceError(data.error || `The jobs API answered ${response.status}`, {
+                        status: response.status,
+                        errors: data.errors || null
+                    });
+                }
+                return data;
+            } finally {
+                if (timer) {
+                    clearTimeout(timer);
+                }
+            }
+        }
+
+        async request(path) {
+            const url = this.config.baseUrl.replace(/\/$/, '') + path;
+
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await this.fetchJson(url);
+                } catch (error) {
+                    const failure = error instanceof JobSourceError ? error :
+                        new JobSourceError(error.name === 'AbortError' ? 'The request timed out' : `Network error: ${error.message}`,
+                            { retryable: true });
+
+                    if (!failure.retryable || attempt >= this.config.retries) {
+                        throw failure;
+                    }
+
+                    const wait = failure.retryAfter || this.config.retryDelay * 2 ** attempt;
+                    if (this.config.onRetry) {
+                        this.config.onRetry(failure, attempt + 1, wait);
+                    }
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                }
+            }
+        }
+
+        async fetchJson(url) {
+            const cached = this.cache.get(url);
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            const timer = controller ? setTimeout(() => controller.abort(), this.config.timeout) : null;
+
+            try {
+                // no-store: we revalidate with our own ETag, the HTTP cache would hide the 304
+                const response = await this.config.fetch(url, {
+                    headers: { Accept: 'application/json', ...(cached ? { 'If-None-Match': cached.etag } : {}) },
+                    cache: 'no-store',
+                    signal: controller ? controller.signal : undefined
+                });
+
+                if (response.status === 304 && cached) {
+                    return cached.data;
+                }
+
+                if (!response.ok) {
+                    const retryAfter = Number(response.headers.get('Retry-After'));
+                    throw new JobSourceError(`The jobs API answered ${response.status}`, {
+                        status: response.status,
+                        retryable: response.status === 429 || response.status >= 500,
+                        retryAfter: retryAfter > 0 ? retryAfter * 1000 : 0
+                    });
+                }
+
+                const data = await response.json();
+                const etag = response.headers.get('ETag');
+                if (etag) {
+                    this.remember(url, { etag, data });
+                }
+                return data;
+            } finally {
+                if (timer) {
+                    clearTimeout(timer);
+                }
+            }
+        }
+
+        remember(url, entry) {
+            this.cache.delete(url);
+            this.cache.set(url, entry);
+            if (this.cache.size > this.config.cacheSize) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+        }
+    }
+
+    const api = {
+        DEFAULT_FILTERS,
+        DEFAULT_PAGE_SIZE,
+        MAX_PAGE_SIZE,
+        FACET_VALUES,
+        FACETS,
+        SORTS,
+        TOKEN_PATTERN,
+        normalizeToken,
+        searchTokens,
+        JobSearchIndex,
+        parseRange,
+        rangesOverlap,
+        matchesFilters,
+        isOpen,
+        postedDaysAgo,
+        postedLabel,
+        toSearchParams,
+        fromSearchParams,
+        facetCounts,
+        queryJobs,
+        matchingJobs,
+        similarJobs,
+        jobStats,
+        JOB_TYPES,
+        JOB_CATEGORIES,
+        formatExperience,
+        formatSalary,
+        parseSkills,
+        validatePosting,
+        JobSourceError,
+        StaticJobSource,
+        RestJobSource
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        root.JobBoard = api;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,69 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers.js');
+
+function announce(body, accessibility) {
+    const window = loadPage(body);
+    const LinkModifier = window.eval('LinkModifier');
+    const modifier = new LinkModifier({ metaConfig: false, autoInit: false, accessibility });
+    modifier.modifyAllLinks();
+    return { window, document: window.document, modifier };
+}
+
+test('new-tab links get hidden text in the page\'s language, and external ones an icon', () => {
+    const { window, document, modifier } = announce(`
+        <a id="docs" href="https://docs.example/">Docs</a>
+        <p lang="hi-IN"><a id="hindi" href="https://hindi.example/">हिंदी</a></p>
+        <a id="said" href="https://said.example/">Report (opens in new window)</a>
+        <a id="about" href="/about">About</a>
+        <a id="anchor" href="#top">Top</a>
+    `, { icon: true });
+    const link = id => document.getElementById(id);
+    // Arrays from the page's realm, copied so deepStrictEqual compares them as plain arrays
+    const found = (id, selector, read) => JSON.parse(JSON.stringify(Array.from(link(id).querySelectorAll(selector), read)));
+    const srText = id => found(id, '.link-modifier-sr-only', node => node.textContent);
+    const icons = id => found(id, '.link-modifier-icon', node => [node.textContent, node.getAttribute('aria-hidden')]);
+
+    assert.strictEqual(link('docs').textContent, 'Docs↗ (opens in a new tab)');
+    assert.deepStrictEqual(icons('docs'), [['↗', 'true']]);
+    assert.deepStrictEqual(srText('hindi'), [' (नए टैब में खुलता है)']);
+    // Already says so, only the icon is added
+    assert.deepStrictEqual(srText('said'), []);
+    assert.strictEqual(icons('said').length, 1);
+    // Internal new-tab links are announced without the external icon
+    assert.deepStrictEqual(srText('about'), [' (opens in a new tab)']);
+    assert.strictEqual(icons('about').length, 0);
+    assert.strictEqual(link('anchor').children.length, 0);
+    assert.strictEqual(document.querySelectorAll('#link-modifier-a11y-styles').length, 1);
+
+    modifier.restore();
+    assert.strictEqual(link('docs').textContent, 'Docs');
+    assert.strictEqual(link('said').textContent, 'Report (opens in new window)');
+    assert.strictEqual(document.querySelector('.link-modifier-sr-only, .link-modifier-icon'), null);
+    window.close();
+});
+
+test('describedby mode points every link at one shared description and keeps its own', () => {
+    const { window, document, modifier } = announce(`
+        <span id="hint">Partner site</span>
+        <a id="one" href="https://one.example/" aria-describedby="hint">One</a>
+        <a id="two" href="https://two.example/">Two</a>
+    `, { mode: 'describedby', icon: '(ext)', messages: { en: 'new tab' } });
+    const link = id => document.getElementById(id);
+
+    const description = document.getElementById('link-modifier-new-tab-0');
+    assert.strictEqual(description.textContent, 'new tab');
+    assert.strictEqual(description.hidden, true);
+    assert.strictEqual(link('one').getAttribute('aria-describedby'), 'hint link-modifier-new-tab-0');
+    assert.strictEqual(link('two').getAttribute('aria-describedby'), 'link-modifier-new-tab-0');
+    assert.strictEqual(link('two').textContent, 'Two(ext)');
+    assert.strictEqual(document.querySelectorAll('[id^="link-modifier-new-tab"]').length, 1);
+
+    modifier.restore();
+    assert.strictEqual(link('one').getAttribute('aria-describedby'), 'hint');
+    assert.strictEqual(link('two').hasAttribute('aria-describedby'), false);
+    assert.strictEqual(link('two').textContent, 'Two');
+    window.close();
+});
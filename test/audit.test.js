@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, readBlob } = require('./helpers.js');
+
+const PAGE = `
+    <nav>
+        <a id="ok" href="https://ok.example/" target="_blank" rel="noopener noreferrer">OK</a>
+        <a id="bare" href="https://bare.example/" target="_blank">Bare</a>
+    </nav>
+    <a href="javascript:void(0)">Run</a>
+    <a href="http://plain.example/">Plain</a>
+    <a href="#">  Open   menu </a>
+    <a id="menu">Menu</a>
+`;
+
+// Runs downloadAuditReport(format) and returns the saved file's name and text
+async function download(window, format) {
+    const saved = [];
+    window.URL.createObjectURL = blob => {
+        saved.push(blob);
+        return 'blob:https://site.test/report';
+    };
+    window.URL.revokeObjectURL = () => {};
+    window.document.addEventListener('click', event => {
+        saved.push(event.target.download);
+        event.preventDefault();
+    }, { once: true });
+
+    window.eval('LinkModifierDebug').downloadAuditReport(format);
+    const [blob, name] = saved;
+    return { name, type: blob.type, text: await readBlob(window, blob) };
+}
+
+test('the JSON audit report lists every link with its issues and a summary', async () => {
+    const window = loadPage(PAGE);
+    const { name, type, text } = await download(window, 'json');
+    const report = JSON.parse(text);
+
+    assert.match(name, /^link-audit-\d{4}-\d\d-\d\dT\d\d-\d\d-\d\d-\d{3}Z\.json$/);
+    assert.strictEqual(type, 'application/json');
+    assert.deepStrictEqual(Object.keys(report), ['page', 'generatedAt', 'summary', 'links']);
+    assert.strictEqual(report.page, 'https://site.test/');
+    assert.ok(!Number.isNaN(Date.parse(report.generatedAt)));
+    assert.deepStrictEqual(report.summary, {
+        totalLinks: 6,
+        externalLinks: 3,
+        newTabLinks: 2,
+        blockedLinks: 0,
+        linksWithIssues: 5,
+        issues: {
+            'blank-without-noopener': 1,
+            'dangerous-scheme': 1,
+            'mixed-content': 1,
+            'lookalike-domain': 0,
+            'button-like-href': 2,
+            'policy-mismatch': 2
+        }
+    });
+
+    report.links.forEach((link, index) => {
+        assert.deepStrictEqual(Object.keys(link), ['index', 'path', 'text', 'href', 'target', 'rel', 'blocked', 'external', 'expected', 'issues']);
+        assert.strictEqual(link.index, index);
+        link.issues.forEach(issue => assert.deepStrictEqual(Object.keys(issue), ['check', 'severity', 'message']));
+    });
+    assert.deepStrictEqual(report.links.map(link => [link.path, link.issues.map(issue => issue.check)]), [
+        ['#ok', []],
+        ['#bare', ['blank-without-noopener', 'policy-mismatch']],
+        ['html > body > a:nth-of-type(1)', ['dangerous-scheme']],
+        ['html > body > a:nth-of-type(2)', ['mixed-content', 'policy-mismatch']],
+        ['html > body > a:nth-of-type(3)', ['button-like-href']],
+        ['#menu', ['button-like-href']]
+    ]);
+    assert.deepStrictEqual(report.links[1], {
+        index: 1,
+        path: '#bare',
+        text: 'Bare',
+        href: 'https://bare.example/',
+        target: '_blank',
+        rel: null,
+        blocked: null,
+        external: true,
+        expected: { action: 'new-tab', rel: ['noopener', 'noreferrer'] },
+        issues: [
+            { check: 'blank-without-noopener', severity: 'error', message: 'Opens in a new tab without rel="noopener"' },
+            { check: 'policy-mismatch', severity: 'warning', message: 'Attributes differ from what the link policy computes' }
+        ]
+    });
+    assert.strictEqual(report.links[4].text, 'Open menu');
+    assert.strictEqual(report.links[5].expected, null);
+    window.close();
+});
+
+test('after LinkModifier runs with security on, the audit counts disarmed links as blocked', () => {
+    const window = loadPage(PAGE);
+    new (window.eval('LinkModifier'))({ metaConfig: false, autoInit: false, security: true }).modifyAllLinks();
+    const report = JSON.parse(JSON.stringify(window.eval('LinkModifierDebug').audit({ security: true })));
+
+    assert.strictEqual(report.summary.blockedLinks, 2);
+    assert.strictEqual(report.summary.issues['dangerous-scheme'], 0);
+    assert.strictEqual(report.summary.issues['mixed-content'], 0);
+    assert.strictEqual(report.summary.issues['blank-without-noopener'], 0);
+    assert.deepStrictEqual(report.links.map(link => link.blocked), [null, null, ['dangerous-scheme'], ['mixed-content'], null, null]);
+    assert.deepStrictEqual(report.links[2].issues, []);
+    window.close();
+});
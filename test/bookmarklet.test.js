@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadPage } = require('./helpers.js');
+const { createBookmarklet, minifyScript } = require('../index.js');
+
+test('minifyScript keeps the line breaks semicolon insertion needs and drops the rest', () => {
+    const source = `
+        // Counter
+        let a = 1
+        let b = a
+        ++b
+        const f = (x) => {
+            /* returns on its own line */
+            return x
+                + a
+        }
+        const text = 'keep  // this' + \`and \${ a }  this\`
+        result = [b, f(2), text, /a\\/b/.test('a/b')]
+    `;
+    const minified = minifyScript(source);
+    const run = code => vm.runInNewContext(`let result;${code};JSON.stringify(result)`);
+
+    assert.strictEqual(run(minified), run(source));
+    assert.doesNotMatch(minified, /Counter|returns on/);
+    assert.match(minified, /^const f=\(x\)=>\{return x$/m);
+});
+
+test('the bookmarklet is a single stripped script that runs and stays within its size budget', () => {
+    const url = createBookmarklet();
+    const code = decodeURIComponent(url.slice('javascript:'.length));
+
+    assert.doesNotMatch(code, /^\s/m);
+    assert.doesNotMatch(code, /\/\/ |\/\*/);
+    assert.ok(url.length < 16 * 1024, `bookmarklet is ${url.length} characters`);
+
+    const window = loadPage('<a id="news" href="https://news.example/">News</a>');
+    window.eval(code);
+    assert.strictEqual(window.document.getElementById('news').getAttribute('target'), '_blank');
+    window.eval(code);
+    assert.strictEqual(window.document.getElementById('news').getAttribute('target'), null);
+});
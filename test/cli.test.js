@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../bin/link-modifier.js');
+
+const PAGE = '<p><a href="https://news.example/">News</a> <a href="#top">Top</a></p>\n';
+const DONE = '<p><a href="https://news.example/" target="_blank" rel="noopener noreferrer">News</a> <a href="#top">Top</a></p>\n';
+
+// A site with one external link per page, and a page under node_modules that is never touched
+function createSite(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'link-modifier-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    fs.mkdirSync(path.join(directory, 'blog'));
+    fs.mkdirSync(path.join(directory, 'node_modules'));
+    fs.writeFileSync(path.join(directory, 'index.html'), PAGE);
+    fs.writeFileSync(path.join(directory, 'blog', 'post.htm'), PAGE);
+    fs.writeFileSync(path.join(directory, 'node_modules', 'readme.html'), PAGE);
+    fs.writeFileSync(path.join(directory, 'config.json'), JSON.stringify({ baseUrl: 'https://site.test/' }));
+
+    const read = file => fs.readFileSync(path.join(directory, file), 'utf8');
+    return { directory, read, config: path.join(directory, 'config.json') };
+}
+
+// main() with its console output captured
+function run(argv) {
+    const output = { log: [], error: [] };
+    const { log, error } = console;
+    console.log = (...args) => output.log.push(args.join(' '));
+    console.error = (...args) => output.error.push(args.join(' '));
+    try {
+        return { code: main(argv), ...output };
+    } finally {
+        Object.assign(console, { log, error });
+    }
+}
+
+test('--check exits 1 and lists the files that would change, without writing them', t => {
+    const site = createSite(t);
+    const result = run(['rewrite', site.directory, '--config', site.config, '--check']);
+
+    assert.strictEqual(result.code, 1);
+    assert.deepStrictEqual(result.error.slice(1).map(line => line.trim()).sort(), ['blog/post.htm', 'index.html']);
+    assert.strictEqual(site.read('index.html'), PAGE);
+});
+
+test('--dry-run prints a diff and writes nothing', t => {
+    const site = createSite(t);
+    const result = run(['rewrite', site.directory, '--config', site.config, '--dry-run']);
+
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.log.some(line => line.includes(`+${DONE.trim()}`)));
+    assert.match(result.log[result.log.length - 1], /^2 files scanned, 2 would change, 2 of 4 links rewritten$/);
+    assert.strictEqual(site.read('index.html'), PAGE);
+    assert.strictEqual(site.read('blog/post.htm'), PAGE);
+});
+
+test('rewrite writes the pages, after which --check passes', t => {
+    const site = createSite(t);
+
+    assert.strictEqual(run(['rewrite', site.directory, '--config', site.config]).code, 0);
+    assert.strictEqual(site.read('index.html'), DONE);
+    assert.strictEqual(site.read('blog/post.htm'), DONE);
+    assert.strictEqual(site.read('node_modules/readme.html'), PAGE);
+    assert.strictEqual(run(['rewrite', site.directory, '--config', site.config, '--check']).code, 0);
+});
+
+test('bad arguments exit 2 with the usage', () => {
+    const result = run(['rewrite', '--bogus']);
+    assert.strictEqual(result.code, 2);
+    assert.match(result.error.join('\n'), /Usage: link-modifier rewrite/);
+});
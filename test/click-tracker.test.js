@@ -0,0 +1,140 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCollectorServer } = require('../bin/click-collector.js');
+const { loadPage, click, readBlob, waitFor } = require('./helpers.js');
+
+const LINKS = `
+    <a id="external" href="https://partner.example/offer?token=secret&id=7">Partner offer</a>
+    <a id="internal" href="/about">About</a>
+`;
+
+async function startCollector() {
+    const server = createCollectorServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, endpoint: `http://127.0.0.1:${server.address().port}/collect` };
+}
+
+// sendBeacon as the browser does it: queued, answered later, the page never sees the response
+function beaconThroughFetch(window) {
+    window.navigator.sendBeacon = (url, body) => {
+        readBlob(window, body).then(text => fetch(url, { method: 'POST', body: text, headers: { 'Content-Type': body.type } }));
+        return true;
+    };
+}
+
+test('batches of outbound clicks reach bin/click-collector.js', async () => {
+    const { server, endpoint } = await startCollector();
+    const window = loadPage(LINKS);
+    beaconThroughFetch(window);
+
+    try {
+        const tracker = window.eval(`new OutboundClickTracker({ endpoint: '${endpoint}', redactParams: ['token'] })`);
+        tracker.start();
+
+        click(window, window.document.getElementById('external'));
+        click(window, window.document.getElementById('external'), { type: 'auxclick', button: 1 });
+        click(window, window.document.getElementById('external'), { type: 'auxclick', button: 2 });
+        click(window, window.document.getElementById('internal'));
+        assert.strictEqual(await tracker.flush(), true);
+
+        const events = await waitFor(() => server.events.length === 2 && server.events);
+        assert.deepStrictEqual(events.map(event => event.modifier), [null, 'middle']);
+        assert.strictEqual(events[0].url, 'https://partner.example/offer?id=7');
+        assert.strictEqual(events[0].text, 'Partner offer');
+        assert.ok(events[0].receivedAt);
+
+        tracker.stop();
+    } finally {
+        window.close();
+        server.close();
+    }
+});
+
+test('the collector refuses bodies that are not a batch', async () => {
+    const { server, endpoint } = await startCollector();
+    try {
+        assert.strictEqual((await fetch(endpoint, { method: 'POST', body: '{oops' })).status, 400);
+        assert.strictEqual((await fetch(endpoint, { method: 'POST', body: '{"clicks": []}' })).status, 400);
+        assert.deepStrictEqual(server.events, []);
+    } finally {
+        server.close();
+    }
+});
+
+test('a batch IndexedDB refuses stays queued and is sent by a later flush', async () => {
+    const window = loadPage(LINKS);
+    const rejections = [];
+    const onRejection = reason => rejections.push(reason);
+    process.on('unhandledRejection', onRejection);
+    window.console.warn = () => {};
+
+    try {
+        const tracker = window.eval(`new OutboundClickTracker({ endpoint: '/collect', flushInterval: 20 })`);
+        tracker.store.add = () => Promise.reject(new Error('QuotaExceededError'));
+        const beacons = [];
+        window.navigator.sendBeacon = (url, body) => {
+            beacons.push(body);
+            return beacons.length > 1;  // Offline for the first batch
+        };
+        tracker.start();
+
+        click(window, window.document.getElementById('external'));
+        assert.strictEqual(await tracker.flush(), false);
+        assert.strictEqual(tracker.queue.length, 1);
+        assert.ok(tracker.timer, 'a retry is scheduled');
+
+        // The retry timer sends it once the beacon goes through
+        await waitFor(() => tracker.queue.length === 0);
+        assert.strictEqual(beacons.length, 2);
+        assert.strictEqual(JSON.parse(await readBlob(window, beacons[1])).events.length, 1);
+
+        tracker.stop();
+        assert.deepStrictEqual(rejections, []);
+    } finally {
+        process.off('unhandledRejection', onRejection);
+        window.close();
+    }
+});
+
+test('a batch the browser refuses while online is sent again without an online event', async () => {
+    const window = loadPage(LINKS);
+
+    try {
+        const tracker = window.eval(`new OutboundClickTracker({ endpoint: '/collect', flushInterval: 20 })`);
+        const beacons = [];
+        let accept = false;
+        window.navigator.sendBeacon = (url, body) => {
+            beacons.push(body);
+            return accept;
+        };
+        tracker.start();
+
+        // Refused (too large, quota), so it goes to the store
+        click(window, window.document.getElementById('external'));
+        assert.strictEqual(await tracker.flush(), false);
+        assert.strictEqual((await tracker.store.getAll()).length, 1);
+
+        // The next batch that goes through takes the stored one with it
+        accept = true;
+        click(window, window.document.getElementById('external'), { ctrlKey: true });
+        assert.strictEqual(await tracker.flush(), true);
+        assert.strictEqual((await tracker.store.getAll()).length, 0);
+        const sent = await Promise.all(beacons.slice(1).map(body => readBlob(window, body)));
+        assert.deepStrictEqual(sent.map(text => JSON.parse(text).events.map(event => event.modifier)), [['ctrl'], [null]]);
+
+        // With no click after it, the retry timer sends it
+        accept = false;
+        click(window, window.document.getElementById('external'));
+        await tracker.flush();
+        accept = true;
+        await waitFor(async () => (await tracker.store.getAll()).length === 0);
+        assert.strictEqual(beacons.length, 5);
+
+        tracker.stop();
+        assert.strictEqual(tracker.retryTimer, null);
+    } finally {
+        window.close();
+    }
+});
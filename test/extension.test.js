@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { ROOT, loadPage, waitFor } = require('./helpers.js');
+const { createChromeMock } = require('../extension/chrome-mock.js');
+const { startContentScript } = require('../extension/content.js');
+const { startPopup } = require('../extension/popup.js');
+const settingsApi = require('../extension/settings.js');
+
+const POPUP = fs.readFileSync(path.join(ROOT, 'extension/popup.html'), 'utf8');
+
+// A tab running the content script, and the popup opened on it
+async function openPopup({ sync = {}, contentScript = true } = {}) {
+    const chrome = createChromeMock({ sync });
+    const page = loadPage(`
+        <a id="news" href="https://news.example/story">Story</a>
+        <a id="docs" href="https://docs.example/">Docs</a>
+    `, { url: 'https://example.com/', scripts: ['extension/settings.js'] });
+    page.console.log = () => {};
+
+    // Settings from the page's realm, so the RegExps it builds pass LinkPolicy's instanceof
+    const content = contentScript
+        ? startContentScript({ chrome, window: page, LinkModifier: page.eval('LinkModifier'), settingsApi: page.LinkModifierSettings })
+        : null;
+    if (content) {
+        await content.ready;
+    }
+
+    const popup = new JSDOM(POPUP).window;
+    await startPopup({ chrome, document: popup.document, settingsApi });
+    const element = id => popup.document.getElementById(id);
+
+    return { chrome, page, popup, content, element };
+}
+
+test('the popup shows the modified link count and restores the page', async () => {
+    const { page, content, element } = await openPopup();
+
+    assert.strictEqual(element('host').textContent, 'example.com');
+    assert.strictEqual(element('count').textContent, '2');
+    assert.strictEqual(element('site-enabled').checked, true);
+    assert.strictEqual(page.document.getElementById('news').getAttribute('target'), '_blank');
+
+    element('restore').click();
+    await waitFor(() => element('restore').disabled);
+    assert.strictEqual(element('restore').textContent, 'Links restored');
+    assert.strictEqual(page.document.getElementById('news').getAttribute('target'), null);
+    content.stop();
+});
+
+test('the site switch saves the setting and shows the state the page ends up in', async () => {
+    const { chrome, page, popup, content, element } = await openPopup();
+    const toggle = enabled => {
+        element('site-enabled').checked = enabled;
+        element('site-enabled').dispatchEvent(new popup.Event('change'));
+    };
+
+    toggle(false);
+    await waitFor(() => element('restore').disabled);
+    assert.strictEqual(element('site-enabled').checked, false);
+    assert.strictEqual(element('count').textContent, '0');
+    assert.deepStrictEqual((await chrome.storage.sync.get('disabledSites')).disabledSites, ['example.com']);
+    assert.strictEqual(page.document.getElementById('news').getAttribute('target'), null);
+
+    toggle(true);
+    await waitFor(() => !element('restore').disabled);
+    assert.strictEqual(element('site-enabled').checked, true);
+    assert.strictEqual(element('count').textContent, '2');
+    assert.strictEqual(page.document.getElementById('news').getAttribute('target'), '_blank');
+    content.stop();
+});
+
+test('the popup says so on pages without the content script', async () => {
+    const { element } = await openPopup({ contentScript: false });
+
+    assert.strictEqual(element('status').hidden, true);
+    assert.strictEqual(element('unavailable').hidden, false);
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+const LINK_MODIFIER = fs.readFileSync(path.join(ROOT, 'index.js'), 'utf8');
+
+// A page with index.js loaded the way a site loads it, without the auto-init.
+// The classes are script globals, read them with window.eval('LinkModifier').
+// scripts: files (from the repository root) that load before it, e.g. React's UMD build
+function loadPage(body = '', { url = 'https://site.test/', scripts = [], beforeParse } = {}) {
+    const before = scripts.map(file => `<script>${fs.readFileSync(path.join(ROOT, file), 'utf8')}</script>`).join('');
+    const dom = new JSDOM(
+        `<!DOCTYPE html><html><body>${body}${before}<script data-auto-init="false">${LINK_MODIFIER}</script></body></html>`,
+        { url, runScripts: 'dangerously', pretendToBeVisual: true, beforeParse }
+    );
+    return dom.window;
+}
+
+function click(window, element, init = {}) {
+    const event = new window.MouseEvent(init.type || 'click', { bubbles: true, cancelable: true, button: 0, ...init });
+    element.dispatchEvent(event);
+    return event;
+}
+
+// jsdom's Blob has no text()
+function readBlob(window, blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(blob);
+    });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Polls until check() returns something truthy, for work that finishes on its own schedule
+async function waitFor(check, { timeout = 2000 } = {}) {
+    const started = Date.now();
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() - started > timeout) {
+            throw new Error('waitFor: timed out');
+        }
+        await wait(10);
+    }
+}
+
+module.exports = { ROOT, loadPage, click, readBlob, wait, waitFor };
@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { transformHtml, HtmlLinkRewriter } = require('../index.js');
+
+const OPTIONS = { baseUrl: 'https://site.test/' };
+const REL = 'target="_blank" rel="noopener noreferrer"';
+
+// Links in comments, raw text and template content are not links yet and stay as they are
+const SOURCE = `<!DOCTYPE html><p>Hi <!-- <a href="https://comment.example/">c</a> --></p>
+<script>document.write('<a href="https://script.example/">s</a>'); if (a < b) {}</script>
+<style>a[href^="https://style.example/"]::after { content: '<a href="x">'; }</style>
+<template><a href="https://template.example/">t</a></template>
+<textarea><a href="https://textarea.example/">x</a></textarea>
+<a href='https://single.example/?a=1&amp;b=2' title="x > y">single</a>
+<a href=https://unquoted.example/ class=ext>unquoted</a>
+<a data-note='say "hi"' href="https://quotes.example/">q</a>
+<A HREF="https://upper.example/">U</A>
+<a href="&#104;ttps://entity.example/">e</a>
+<a href="#top">top</a> café`;
+
+const EXPECTED = `<!DOCTYPE html><p>Hi <!-- <a href="https://comment.example/">c</a> --></p>
+<script>document.write('<a href="https://script.example/">s</a>'); if (a < b) {}</script>
+<style>a[href^="https://style.example/"]::after { content: '<a href="x">'; }</style>
+<template><a href="https://template.example/">t</a></template>
+<textarea><a href="https://textarea.example/">x</a></textarea>
+<a href='https://single.example/?a=1&amp;b=2' title="x > y" ${REL}>single</a>
+<a href=https://unquoted.example/ class=ext ${REL}>unquoted</a>
+<a data-note='say "hi"' href="https://quotes.example/" ${REL}>q</a>
+<A HREF="https://upper.example/" ${REL}>U</A>
+<a href="&#104;ttps://entity.example/" ${REL}>e</a>
+<a href="#top">top</a> café`;
+
+function transformInChunks(source, size) {
+    const rewriter = new HtmlLinkRewriter(OPTIONS);
+    let output = '';
+    for (let i = 0; i < source.length; i += size) {
+        output += rewriter.write(source.slice(i, i + size));
+    }
+    return output + rewriter.end();
+}
+
+test('links are rewritten, comments, raw text, template content and attribute quoting are kept', () => {
+    assert.strictEqual(transformHtml(SOURCE, OPTIONS), EXPECTED);
+});
+
+test('any chunk boundary gives the same output as the whole document', () => {
+    for (let size = 1; size <= 40; size++) {
+        assert.strictEqual(transformInChunks(SOURCE, size), EXPECTED, `chunks of ${size}`);
+    }
+
+    // Each boundary on its own, so every tag, comment end and closing raw text tag is split somewhere
+    for (let split = 1; split < SOURCE.length; split++) {
+        const rewriter = new HtmlLinkRewriter(OPTIONS);
+        const output = rewriter.write(SOURCE.slice(0, split)) + rewriter.end(SOURCE.slice(split));
+        assert.strictEqual(output, EXPECTED, `split at ${split}`);
+    }
+});
+
+test('the stream form decodes characters split across buffers', async () => {
+    // One byte at a time, the é of café arrives in two halves
+    const chunks = Array.from(Buffer.from(SOURCE), byte => Buffer.from([byte]));
+
+    let output = '';
+    for await (const chunk of transformHtml(Readable.from(chunks), OPTIONS)) {
+        output += chunk;
+    }
+    assert.strictEqual(output, EXPECTED);
+});
@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait, waitFor } = require('./helpers.js');
+
+test('HyperlinkModifier.restore() puts disarmed links back and they stay put', async () => {
+    const window = loadPage(`
+        <a id="news" href="https://news.example/" rel="author">News</a>
+        <a id="script" href="javascript:alert(1)">Run</a>
+        <a id="plain" href="http://partner.example/">Partner</a>
+    `);
+    const document = window.document;
+    const { HyperlinkModifier } = window;
+    const attributes = id => {
+        const link = document.getElementById(id);
+        return [link.getAttribute('href'), link.getAttribute('target'), link.getAttribute('rel')];
+    };
+
+    HyperlinkModifier.config.security = true;
+    HyperlinkModifier.init();
+    // init() waits for DOMContentLoaded when the document is still loading
+    await waitFor(() => document.getElementById('news').hasAttribute('target'));
+    assert.deepStrictEqual(attributes('news'), ['https://news.example/', '_blank', 'author noopener noreferrer']);
+    assert.strictEqual(attributes('script')[0], null);
+    assert.strictEqual(attributes('plain')[0], null);
+
+    assert.strictEqual(HyperlinkModifier.restore(), 3);
+    await wait(50);
+    assert.deepStrictEqual(attributes('news'), ['https://news.example/', null, 'author']);
+    assert.deepStrictEqual(attributes('script'), ['javascript:alert(1)', null, null]);
+    assert.deepStrictEqual(attributes('plain'), ['http://partner.example/', null, null]);
+    assert.strictEqual(document.querySelector('[data-link-blocked]'), null);
+
+    // Links added later are still handled
+    document.body.insertAdjacentHTML('beforeend', '<a id="late" href="https://late.example/">Late</a>');
+    await waitFor(() => document.getElementById('late').getAttribute('target') === '_blank');
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, click, wait } = require('./helpers.js');
+
+const STORAGE_KEY = 'linkModifier.trustedHosts';
+
+function loadInterstitial(body = '') {
+    const window = loadPage(body);
+    const Interstitial = window.eval('ExternalLinkInterstitial');
+    const key = (key, init = {}) => window.document.dispatchEvent(
+        new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init })
+    );
+    return { window, document: window.document, Interstitial, key };
+}
+
+test('Tab and Shift+Tab stay inside the dialog, Cancel has the focus first', async () => {
+    const { window, document, Interstitial, key } = loadInterstitial('<button id="outside">Outside</button>');
+    const interstitial = new Interstitial();
+    const outside = document.getElementById('outside');
+    outside.focus();
+
+    const answer = interstitial.confirm(new window.URL('https://careers.example/'));
+    const dialog = document.querySelector('.link-interstitial [role="dialog"]');
+    const checkbox = dialog.querySelector('input[type="checkbox"]');
+    const proceed = dialog.querySelector('[data-action="continue"]');
+
+    assert.strictEqual(dialog.getAttribute('aria-modal'), 'true');
+    assert.strictEqual(document.activeElement, dialog.querySelector('[data-action="cancel"]'));
+
+    proceed.focus();
+    key('Tab');
+    assert.strictEqual(document.activeElement, checkbox);
+
+    key('Tab', { shiftKey: true });
+    assert.strictEqual(document.activeElement, proceed);
+
+    // Focus that got out is brought back in
+    outside.focus();
+    key('Tab');
+    assert.strictEqual(document.activeElement, checkbox);
+
+    interstitial.close(false);
+    assert.strictEqual(await answer, false);
+    assert.strictEqual(document.activeElement, outside);
+});
+
+test('Escape cancels and removes the dialog', async () => {
+    const { window, document, Interstitial, key } = loadInterstitial();
+    const interstitial = new Interstitial();
+
+    const answer = interstitial.confirm(new window.URL('https://careers.example/'));
+    key('Escape');
+
+    assert.strictEqual(await answer, false);
+    assert.strictEqual(document.querySelector('.link-interstitial'), null);
+    assert.strictEqual(window.localStorage.getItem(STORAGE_KEY), null);
+});
+
+test('"Don\'t ask again" stores the host, and later instances skip it', async () => {
+    const { window, document, Interstitial } = loadInterstitial();
+    const url = new window.URL('https://Careers.Example/jobs/7');
+    const interstitial = new Interstitial({ allowlist: ['*.site.test'] });
+
+    assert.strictEqual(interstitial.shouldConfirm(url), true);
+    assert.strictEqual(interstitial.shouldConfirm(new window.URL('https://jobs.site.test/')), false);
+    assert.strictEqual(interstitial.shouldConfirm(new window.URL('mailto:hr@careers.example')), false);
+
+    const answer = interstitial.confirm(url);
+    document.querySelector('.link-interstitial input[type="checkbox"]').checked = true;
+    document.querySelector('.link-interstitial [data-action="continue"]').click();
+
+    assert.strictEqual(await answer, true);
+    assert.deepStrictEqual(JSON.parse(window.localStorage.getItem(STORAGE_KEY)), ['careers.example']);
+    assert.strictEqual(new Interstitial().shouldConfirm(url), false);
+
+    // Corrupt storage is read as nothing trusted
+    window.localStorage.setItem(STORAGE_KEY, '{');
+    assert.strictEqual(new Interstitial().shouldConfirm(url), true);
+    new Interstitial().forgetAll();
+    assert.strictEqual(window.localStorage.getItem(STORAGE_KEY), null);
+});
+
+test('the dialog shows the punycode-decoded host', () => {
+    const { window, document, Interstitial } = loadInterstitial();
+    const interstitial = new Interstitial();
+
+    // "pаypal" with a Cyrillic а, as the URL parser hands it over
+    const url = new window.URL('https://p\u0430ypal.com/login');
+    assert.strictEqual(url.hostname, 'xn--pypal-4ve.com');
+
+    interstitial.confirm(url);
+    assert.strictEqual(document.querySelector('.link-interstitial-host').textContent, 'p\u0430ypal.com');
+    interstitial.close(false);
+});
+
+test('middle-clicks and Ctrl-clicks are confirmed too, and open a new tab', async () => {
+    const { window, document } = loadInterstitial('<a id="careers" href="https://careers.example/">Careers</a>');
+    const opened = [];
+    window.open = (...args) => opened.push(args);
+    const delegation = window.eval('setupEventDelegation')({ interstitial: true, defaultAction: 'same-tab' });
+    const link = document.getElementById('careers');
+    const proceed = () => document.querySelector('.link-interstitial [data-action="continue"]').click();
+
+    assert.strictEqual(click(window, link, { type: 'auxclick', button: 1 }).defaultPrevented, true);
+    proceed();
+    await wait(0);
+
+    assert.strictEqual(click(window, link, { ctrlKey: true }).defaultPrevented, true);
+    proceed();
+    await wait(0);
+
+    assert.deepStrictEqual(opened, [
+        ['https://careers.example/', '_blank', 'noopener,noreferrer'],
+        ['https://careers.example/', '_blank', 'noopener,noreferrer']
+    ]);
+
+    // A right-click is not a link click
+    assert.strictEqual(click(window, link, { type: 'auxclick', button: 2 }).defaultPrevented, false);
+    assert.strictEqual(document.querySelector('.link-interstitial'), null);
+    delegation.remove();
+});
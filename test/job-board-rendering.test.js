@@ -0,0 +1,143 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, ResourceLoader } = require('jsdom');
+const { ROOT, wait, waitFor } = require('./helpers.js');
+
+// Scripts of the page come from the repository, the jobs API is missing so the page uses its sample
+class RepositoryLoader extends ResourceLoader {
+    fetch(url) {
+        return Promise.resolve(fs.readFileSync(path.join(ROOT, new URL(url).pathname)));
+    }
+}
+
+// Closed when test t ends, a window left open keeps the run alive
+async function loadJobBoard(t, jobs) {
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8'), {
+        url: 'http://jobs.test/index.html',
+        runScripts: 'dangerously',
+        resources: new RepositoryLoader(),
+        pretendToBeVisual: true,
+        beforeParse(window) {
+            window.fetch = () => Promise.resolve(new Response('', { status: 404 }));
+            window.pwned = 0;
+            window.console.warn = () => {};
+        }
+    });
+    const window = dom.window;
+    t.after(() => window.close());
+    await waitFor(() => window.document.querySelector('.job-card'));
+
+    window.POSTINGS = jobs;
+    window.eval('jobSource = new JobBoard.StaticJobSource(POSTINGS)');
+    await window.applyFilters({ history: false });
+    return window;
+}
+
+const PAYLOADS = {
+    title: '<script>pwned++</script>Engineer "quoted" \'single\'',
+    company: '"><img src=x onerror="pwned++">',
+    description: '\' onmouseover=\'pwned++\' </p><iframe srcdoc="<script>parent.pwned++</script>"></iframe> react',
+    skills: ['<svg onload=pwned++>', '" autofocus onfocus="pwned++', 'React']
+};
+
+const POSTINGS = [
+    {
+        id: 101, ...PAYLOADS, location: 'Pune', type: 'Full-time', experience: '1-3 years',
+        salary: '₹10-12 LPA', category: 'tech', posted: '1 day ago', careersUrl: 'javascript:pwned++'
+    },
+    {
+        id: 102, title: 'Plain React dev', company: 'Acme', location: 'Pune', type: 'Full-time', experience: '1-3 years',
+        salary: '₹8-10 LPA', category: 'tech', skills: ['React'], description: 'Nice', posted: '2 days ago',
+        careersUrl: 'https://careers.acme.example/jobs/102?from="board"'
+    }
+];
+
+// Markup a payload could have injected, in root or anywhere below it
+function injected(root) {
+    const elements = [root, ...root.querySelectorAll('*')];
+    return {
+        tags: root.querySelectorAll('script, img, svg, iframe').length,
+        handlers: elements.filter(element => element.getAttributeNames().some(name => name.startsWith('on'))).length,
+        autofocus: root.querySelectorAll('[autofocus]').length
+    };
+}
+
+test('hostile postings render as text on the cards and in the job dialog', async t => {
+    const window = await loadJobBoard(t, POSTINGS);
+    const document = window.document;
+    const card = document.querySelector('.job-card[data-job-id="101"]');
+
+    assert.deepStrictEqual(injected(document.getElementById('jobs-container')), { tags: 0, handlers: 0, autofocus: 0 });
+    assert.strictEqual(card.querySelector('.job-title-btn').textContent, PAYLOADS.title);
+    assert.strictEqual(card.querySelector('.company-name').textContent, PAYLOADS.company);
+    assert.deepStrictEqual(Array.from(card.querySelectorAll('.tag'), tag => tag.textContent), PAYLOADS.skills);
+    assert.ok(card.textContent.includes(PAYLOADS.description));
+
+    // Keyword highlighting splits the text around <mark>, it must not open a way in
+    document.getElementById('job-title').value = 'react';
+    await window.searchJobs();
+    const highlighted = document.querySelector('.job-card[data-job-id="101"]');
+    assert.ok(highlighted.querySelectorAll('mark').length > 0);
+    assert.deepStrictEqual(injected(highlighted), { tags: 0, handlers: 0, autofocus: 0 });
+
+    highlighted.querySelector('.job-title-btn').click();
+    await waitFor(() => document.getElementById('job-dialog').querySelector('dd'));
+    assert.deepStrictEqual(injected(document.getElementById('job-dialog')), { tags: 0, handlers: 0, autofocus: 0 });
+    // Only http(s) careers pages become links
+    assert.strictEqual(document.querySelector('#job-dialog .careers-link'), null);
+
+    await wait(50);
+    assert.strictEqual(window.pwned, 0);
+});
+
+test('careers pages open through the leaving-site confirmation', async t => {
+    const window = await loadJobBoard(t, POSTINGS);
+    const document = window.document;
+    const opened = [];
+    window.open = (...args) => opened.push(args);
+
+    document.querySelector('.job-card[data-job-id="102"] .job-title-btn').click();
+    const link = await waitFor(() => document.querySelector('#job-dialog .careers-link'));
+    assert.strictEqual(link.getAttribute('href'), 'https://careers.acme.example/jobs/102?from="board"');
+
+    link.click();
+    assert.strictEqual(document.querySelector('.link-interstitial-host').textContent, 'careers.acme.example');
+    assert.deepStrictEqual(opened, []);
+
+    document.querySelector('.link-interstitial [data-action="continue"]').click();
+    await wait(0);
+    assert.deepStrictEqual(opened, [[link.href, '_blank', 'noopener,noreferrer']]);
+});
+
+test('renderKeyed keeps unchanged elements, replaces changed ones and moves them into order', () => {
+    const window = new JSDOM('<div id="list"><p class="loading">Loading…</p></div>', { runScripts: 'outside-only' }).window;
+    window.eval(fs.readFileSync(path.join(ROOT, 'html-template.js'), 'utf8'));
+    const { html, renderKeyed } = window.HtmlTemplate;
+    const list = window.document.getElementById('list');
+    const render = items => renderKeyed(list, items, {
+        key: item => item.id,
+        render: item => html`<div class="item" title="${item.title}">${item.title}</div>`
+    });
+    const element = id => list.querySelector(`[data-key="${id}"]`);
+
+    render([{ id: 1, title: 'One' }, { id: 2, title: 'Two' }, { id: 3, title: '"><script>x</script>' }]);
+    assert.strictEqual(list.querySelector('.loading'), null);
+    assert.strictEqual(list.querySelector('script'), null);
+    assert.strictEqual(element(3).getAttribute('title'), '"><script>x</script>');
+    const [one, two, three] = [element(1), element(2), element(3)];
+
+    render([{ id: 3, title: '"><script>x</script>' }, { id: 1, title: 'One' }, { id: 2, title: 'Two, edited' }]);
+    assert.deepStrictEqual(Array.from(list.children, child => child.dataset.key), ['3', '1', '2']);
+    assert.strictEqual(element(3), three);
+    assert.strictEqual(element(1), one);
+    assert.notStrictEqual(element(2), two);
+    assert.strictEqual(element(2).textContent, 'Two, edited');
+
+    render([{ id: 1, title: 'One' }]);
+    assert.deepStrictEqual(Array.from(list.children, child => child.dataset.key), ['1']);
+    assert.strictEqual(element(1), one);
+});
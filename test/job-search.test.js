@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JobSearchIndex, queryJobs, validatePosting } = require('../job-board.js');
+
+test('removing the last job with a compound drops the compound too', () => {
+    const index = new JobSearchIndex();
+    const api = { id: 1, title: 'Backend Engineer', skills: ['Node.js'], company: 'Acme', description: '' };
+    const worker = { id: 2, title: 'Worker Engineer', skills: ['Node.js', 'Vue.js'], company: 'Beta', description: '' };
+    index.add(api);
+    index.add(worker);
+
+    index.remove(worker);
+    assert.deepStrictEqual(Array.from(index.compounds.keys()), ['nodejs']);
+
+    index.remove(api);
+    assert.strictEqual(index.compounds.size, 0);
+    assert.strictEqual(index.postings.size, 0);
+});
+
+test('a posting\'s city matches the city filter however the employer typed it', () => {
+    const input = {
+        title: 'Backend Engineer',
+        company: 'Acme',
+        type: 'Full-time',
+        category: 'tech',
+        skills: 'Node.js',
+        description: 'Build and run the services behind our checkout flow.',
+        experienceRange: { min: 2, max: 4 },
+        salaryRange: { min: 12, max: 18 }
+    };
+    const post = (id, location) => ({ id, ...validatePosting({ ...input, location }).posting });
+
+    assert.strictEqual(post(1, 'Pune, Maharashtra').location, 'Pune');
+    assert.strictEqual(post(2, '  pune ').location, 'Pune');
+    assert.strictEqual(post(3, 'Bengaluru').location, 'Bangalore');
+    assert.strictEqual(post(4, 'remote').location, 'Remote');
+    assert.strictEqual(post(5, 'Goa').location, 'Goa');
+
+    // Postings saved before the location was normalised match too
+    const jobs = [post(1, 'Pune, Maharashtra'), post(2, ' pune'), post(3, 'Goa'), { ...post(4, 'Delhi'), location: 'New Delhi, Delhi' }];
+    const index = new JobSearchIndex();
+    jobs.forEach(job => index.add(job));
+
+    const pune = queryJobs(jobs, index, { filters: { city: 'pune' } });
+    assert.deepStrictEqual(pune.jobs.map(job => job.id), [1, 2]);
+    assert.strictEqual(pune.facets.city.pune, 2);
+    assert.strictEqual(pune.facets.city.delhi, 1);
+    assert.strictEqual(pune.facets.city.bangalore, 0);
+});
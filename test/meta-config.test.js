@@ -0,0 +1,32 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers.js');
+
+test('an invalid pattern or rule in <meta name="link-policy"> is skipped, the rest still applies', () => {
+    const policy = {
+        excludePatterns: ['partner\\.example', '(unclosed'],
+        rules: [{ match: { selector: '.docs' }, action: 'same-tab' }, { match: { selector: '.x' }, action: 'explode' }]
+    };
+    const window = loadPage(`
+        <meta name="link-policy" content='${JSON.stringify(policy)}'>
+        <a id="partner" href="https://partner.example/">Partner</a>
+        <a id="docs" class="docs" href="https://docs.example/">Docs</a>
+        <a id="news" href="https://news.example/">News</a>
+    `);
+    const warnings = [];
+    window.console.warn = message => warnings.push(message);
+
+    const modifier = new (window.eval('LinkModifier'))();
+    modifier.modifyAllLinks();
+    const target = id => window.document.getElementById(id).getAttribute('target');
+
+    assert.strictEqual(target('partner'), null);
+    assert.strictEqual(target('docs'), null);
+    assert.strictEqual(target('news'), '_blank');
+    assert.strictEqual(warnings.length, 2);
+    assert.match(warnings[0], /\(unclosed/);
+    assert.match(warnings[1], /explode/);
+    modifier.destroy();
+});
@@ -0,0 +1,27 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createServer } = require('../bin/mock-jobs-server.js');
+
+async function startServer() {
+    const server = createServer({ jobs: 20, feed: 0 });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('a path with a broken escape is a 400 and the server keeps answering', async () => {
+    const { server, base } = await startServer();
+
+    try {
+        assert.strictEqual((await fetch(`${base}/%E0%A4%A`)).status, 400);
+        assert.strictEqual((await fetch(`${base}/.git/config`)).status, 404);
+        assert.strictEqual((await fetch(`${base}/job-board.js`)).status, 200);
+
+        const response = await fetch(`${base}/api/jobs?pageSize=1`);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual((await response.json()).jobs.length, 1);
+    } finally {
+        server.close();
+    }
+});
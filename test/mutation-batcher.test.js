@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers.js');
+
+test('a modified link is re-evaluated from its authored attributes when href or class changes', async () => {
+    const window = loadPage('<a id="docs" href="https://docs.example/?utm_source=feed" rel="author">Docs</a>');
+    const document = window.document;
+    const LinkModifier = window.eval('LinkModifier');
+    const link = document.getElementById('docs');
+    const attributes = () => [link.getAttribute('href'), link.getAttribute('target'), link.getAttribute('rel')];
+
+    const modifier = new LinkModifier({ metaConfig: false, autoInit: false, urlRewrite: { strip: true } });
+    modifier.modifyAllLinks();
+    modifier.startObserving();
+    assert.deepStrictEqual(attributes(), ['https://docs.example/', '_blank', 'author noopener noreferrer']);
+
+    // Opting out puts back what the page wrote, including the stripped parameter
+    link.classList.add('no-new-tab');
+    await modifier.whenIdle();
+    assert.deepStrictEqual(attributes(), ['https://docs.example/?utm_source=feed', null, 'author']);
+    assert.strictEqual(modifier.modifiedCount, 0);
+
+    link.classList.remove('no-new-tab');
+    await modifier.whenIdle();
+    assert.deepStrictEqual(attributes(), ['https://docs.example/', '_blank', 'author noopener noreferrer']);
+
+    // The page's new href replaces the authored one instead of being undone
+    link.setAttribute('href', '#install');
+    await modifier.whenIdle();
+    assert.deepStrictEqual(attributes(), ['#install', null, 'author']);
+
+    link.setAttribute('href', 'https://api.example/?fbclid=1&v=2');
+    await modifier.whenIdle();
+    assert.deepStrictEqual(attributes(), ['https://api.example/?v=2', '_blank', 'author noopener noreferrer']);
+    assert.strictEqual(modifier.modifiedCount, 1);
+
+    // Restoring gives back the latest authored attributes
+    modifier.restore();
+    assert.deepStrictEqual(attributes(), ['https://api.example/?fbclid=1&v=2', null, 'author']);
+    window.close();
+});
+
+test('inserted links wait for idle time and are handled in one pass', async () => {
+    const window = loadPage('<main id="feed"></main>');
+    const document = window.document;
+    const LinkModifier = window.eval('LinkModifier');
+    const feed = document.getElementById('feed');
+
+    const modifier = new LinkModifier({ metaConfig: false, autoInit: false });
+    modifier.modifyAllLinks();
+    modifier.startObserving();
+
+    const html = Array.from({ length: 300 }, (_, i) => `<li><a href="https://item${i}.example/">Item ${i}</a></li>`).join('');
+    feed.insertAdjacentHTML('beforeend', `<ul>${html}</ul>`);
+    // Nothing runs inside the mutation, only once the page is idle
+    await Promise.resolve();
+    assert.strictEqual(document.querySelectorAll('a[target]').length, 0);
+
+    const stats = await modifier.whenIdle();
+    assert.strictEqual(document.querySelectorAll('a[target="_blank"]').length, 300);
+    assert.strictEqual(modifier.modifiedCount, 300);
+    assert.strictEqual(stats.links, 300);
+    modifier.destroy();
+    window.close();
+});
+
+test('LinkMutationBatcher queues a link once and keeps its attribute change', async () => {
+    const window = loadPage('<div id="root"></div>');
+    const document = window.document;
+    const LinkMutationBatcher = window.eval('LinkMutationBatcher');
+    const seen = [];
+
+    const batcher = new LinkMutationBatcher({
+        onLink: (link, { attributeChanged }) => seen.push(`${link.id}:${attributeChanged}`)
+    });
+    batcher.observe(document.getElementById('root'));
+
+    document.getElementById('root').innerHTML = '<p><a id="a" href="/a">A</a><a id="b" href="/b">B</a></p>';
+    document.getElementById('a').setAttribute('href', '/a2');
+    document.getElementById('a').className = 'promo';
+    document.getElementById('root').insertAdjacentHTML('beforeend', '<span>no links</span>');
+
+    await batcher.whenIdle();
+    assert.deepStrictEqual(seen, ['a:true', 'b:false']);
+    assert.strictEqual(batcher.pendingCount, 0);
+
+    // Links the observer has not delivered yet are dropped with discard
+    document.getElementById('b').setAttribute('href', '/b2');
+    batcher.takeRecords({ discard: true });
+    await batcher.whenIdle();
+    assert.deepStrictEqual(seen, ['a:true', 'b:false']);
+    batcher.disconnect();
+    window.close();
+});
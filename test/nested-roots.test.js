@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers.js');
+
+test('links inside open shadow roots are handled, including roots attached later', async () => {
+    const window = loadPage('<div id="card"></div><div id="closed"></div><main id="feed"></main>');
+    const document = window.document;
+    const LinkModifier = window.eval('LinkModifier');
+    const nativeAttachShadow = window.Element.prototype.attachShadow;
+
+    const card = document.getElementById('card').attachShadow({ mode: 'open' });
+    card.innerHTML = '<a id="early" href="https://early.example/">Early</a>';
+    const closed = document.getElementById('closed').attachShadow({ mode: 'closed' });
+    closed.innerHTML = '<a id="hidden" href="https://hidden.example/">Hidden</a>';
+
+    const modifier = new LinkModifier({ metaConfig: false, autoInit: false, includeShadowRoots: true });
+    modifier.modifyAllLinks();
+    modifier.startObserving();
+    assert.strictEqual(card.getElementById('early').getAttribute('target'), '_blank');
+    assert.strictEqual(closed.getElementById('hidden').hasAttribute('target'), false);
+
+    // A component that renders after the modifier started
+    const host = document.createElement('x-widget');
+    document.getElementById('feed').appendChild(host);
+    const widget = host.attachShadow({ mode: 'open' });
+    widget.innerHTML = '<a id="late" href="https://late.example/" rel="author">Late</a>';
+    card.appendChild(document.createElement('div')).innerHTML = '<a id="added" href="https://added.example/">Added</a>';
+    await modifier.whenIdle();
+
+    assert.strictEqual(widget.getElementById('late').getAttribute('target'), '_blank');
+    assert.strictEqual(widget.getElementById('late').getAttribute('rel'), 'author noopener noreferrer');
+    assert.strictEqual(card.getElementById('added').getAttribute('target'), '_blank');
+    const counts = modifier.getRootCounts().filter(({ count }) => count > 0).map(({ root, count }) => [root.host.id || root.host.localName, count]);
+    assert.strictEqual(JSON.stringify(counts), JSON.stringify([['card', 2], ['x-widget', 1]]));
+
+    // attachShadow is only wrapped while someone is watching
+    modifier.destroy({ restore: true });
+    assert.strictEqual(window.Element.prototype.attachShadow, nativeAttachShadow);
+    assert.strictEqual(card.getElementById('early').hasAttribute('target'), false);
+    window.close();
+});
+
+test('links inside same-origin iframes are handled, including ones added later', async () => {
+    const window = loadPage('<iframe id="frame"></iframe><main id="feed"></main>');
+    const document = window.document;
+    const LinkModifier = window.eval('LinkModifier');
+
+    const frameDocument = document.getElementById('frame').contentDocument;
+    frameDocument.body.innerHTML = '<a id="inside" href="https://inside.example/">Inside</a>';
+
+    const modifier = new LinkModifier({ metaConfig: false, autoInit: false, includeIframes: true });
+    modifier.modifyAllLinks();
+    modifier.startObserving();
+    assert.strictEqual(frameDocument.getElementById('inside').getAttribute('target'), '_blank');
+
+    frameDocument.body.insertAdjacentHTML('beforeend', '<a id="later" href="https://later.example/">Later</a>');
+    // An iframe the page adds, filled in once it is in the document
+    const added = document.createElement('iframe');
+    document.getElementById('feed').appendChild(added);
+    added.contentDocument.body.innerHTML = '<a id="framed" href="https://framed.example/">Framed</a>';
+    await modifier.whenIdle();
+
+    assert.strictEqual(frameDocument.getElementById('later').getAttribute('target'), '_blank');
+    assert.strictEqual(added.contentDocument.getElementById('framed').getAttribute('target'), '_blank');
+    assert.strictEqual(modifier.modifiedCount, 3);
+
+    // Without the option the frames are left alone
+    const other = loadPage('<iframe id="frame"></iframe>');
+    other.document.getElementById('frame').contentDocument.body.innerHTML = '<a id="inside" href="https://inside.example/">Inside</a>';
+    new (other.eval('LinkModifier'))({ metaConfig: false, autoInit: false }).modifyAllLinks();
+    assert.strictEqual(other.document.getElementById('frame').contentDocument.getElementById('inside').hasAttribute('target'), false);
+
+    modifier.destroy();
+    other.close();
+    window.close();
+});
@@ -0,0 +1,154 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers.js');
+
+const REACT = ['node_modules/react/umd/react.development.js', 'node_modules/react-dom/umd/react-dom.development.js'];
+
+const ARTICLE = `
+    <a id="news" href="https://news.example/story">Story</a>
+    <a id="partner" href="https://partner.example/deal" rel="sponsored">Deal</a>
+    <a id="comments" href="#comments">Comments</a>
+`;
+
+function loadReactPage() {
+    const window = loadPage('<a id="outside" href="https://outside.example/">Outside</a><div id="app"></div>', {
+        scripts: REACT,
+        beforeParse(w) {
+            w.IS_REACT_ACT_ENVIRONMENT = true;
+            // React's scheduler posts its tasks through one, jsdom doesn't have it
+            w.MessageChannel = class {
+                constructor() {
+                    this.port1 = { onmessage: null };
+                    this.port2 = { postMessage: () => w.setTimeout(() => this.port1.onmessage && this.port1.onmessage({})) };
+                }
+            };
+        }
+    });
+    const { React, ReactDOM } = window;
+    const root = ReactDOM.createRoot(window.document.getElementById('app'));
+    const render = element => React.act(() => root.render(element));
+
+    // The hook on a container whose links React doesn't own
+    function Article({ options }) {
+        const ref = React.useRef(null);
+        window.eval('useNewTabLinks')(ref, options);
+        return React.createElement('div', { ref, dangerouslySetInnerHTML: { __html: ARTICLE } });
+    }
+
+    const link = id => {
+        const element = window.document.getElementById(id);
+        return { target: element.getAttribute('target'), rel: element.getAttribute('rel') };
+    };
+
+    return { window, React, root, render, Article, link };
+}
+
+test('useNewTabLinks only changes links inside the ref', async () => {
+    const { window, React, render, Article, link } = loadReactPage();
+
+    await render(React.createElement(Article, { options: {} }));
+
+    assert.deepStrictEqual(link('news'), { target: '_blank', rel: 'noopener noreferrer' });
+    assert.deepStrictEqual(link('partner'), { target: '_blank', rel: 'sponsored noopener noreferrer' });
+    assert.deepStrictEqual(link('comments'), { target: null, rel: null });
+    assert.deepStrictEqual(link('outside'), { target: null, rel: null });
+    window.close();
+});
+
+test('useNewTabLinks re-applies when the options change', async () => {
+    const { window, React, render, Article, link } = loadReactPage();
+    const LinkPolicy = window.eval('LinkPolicy');
+
+    await render(React.createElement(Article, { options: {} }));
+    await render(React.createElement(Article, { options: { excludePatterns: [window.eval('/partner\\.example/')] } }));
+    assert.deepStrictEqual(link('partner'), { target: null, rel: 'sponsored' });
+    assert.strictEqual(link('news').target, '_blank');
+
+    // Policies and callbacks compare by identity, a new one is a change
+    await render(React.createElement(Article, { options: { policy: new LinkPolicy({ defaultAction: 'skip' }) } }));
+    assert.deepStrictEqual(link('news'), { target: null, rel: null });
+    await render(React.createElement(Article, { options: { policy: new LinkPolicy() } }));
+    assert.deepStrictEqual(link('news'), { target: '_blank', rel: 'noopener noreferrer' });
+
+    // The same options written inline again are not a change
+    const policy = new LinkPolicy();
+    await render(React.createElement(Article, { options: { policy } }));
+    window.document.getElementById('news').setAttribute('data-marker', 'kept');
+    await render(React.createElement(Article, { options: { policy } }));
+    assert.strictEqual(link('news').target, '_blank');
+    window.close();
+});
+
+test('useNewTabLinks puts the links back on unmount', async () => {
+    const { window, React, render, link } = loadReactPage();
+    const useNewTabLinks = window.eval('useNewTabLinks');
+
+    // The container outlives the component using the hook
+    function Hook({ container }) {
+        useNewTabLinks(container, {});
+        return null;
+    }
+    function Page({ on }) {
+        const ref = React.useRef(null);
+        return React.createElement('div', null,
+            React.createElement('div', { ref, dangerouslySetInnerHTML: { __html: ARTICLE } }),
+            on ? React.createElement(Hook, { container: ref }) : null
+        );
+    }
+
+    await render(React.createElement(Page, { on: true }));
+    assert.deepStrictEqual(link('partner'), { target: '_blank', rel: 'sponsored noopener noreferrer' });
+    await render(React.createElement(Page, { on: false }));
+    assert.deepStrictEqual(link('news'), { target: null, rel: null });
+    assert.deepStrictEqual(link('partner'), { target: null, rel: 'sponsored' });
+    window.close();
+});
+
+test('useNewTabLinks restores what the links had, not what it wrote', async () => {
+    const { window, React, render, link } = loadReactPage();
+    const useNewTabLinks = window.eval('useNewTabLinks');
+
+    // Links React doesn't re-render, so the restore is visible after the hook goes away
+    window.document.getElementById('outside').setAttribute('rel', 'author');
+    function Page({ on }) {
+        return on ? React.createElement(Hook) : null;
+    }
+    function Hook() {
+        useNewTabLinks({});
+        return null;
+    }
+
+    await render(React.createElement(Page, { on: true }));
+    assert.deepStrictEqual(link('outside'), { target: '_blank', rel: 'author noopener noreferrer' });
+    await render(React.createElement(Page, { on: false }));
+    assert.deepStrictEqual(link('outside'), { target: null, rel: 'author' });
+    window.close();
+});
+
+test('ExternalLink renders target and rel from the options', async () => {
+    const { window, React, render } = loadReactPage();
+    const ExternalLink = window.eval('ExternalLink');
+    const LinkOptionsProvider = window.eval('LinkOptionsProvider');
+    const a = (href, props = {}) => React.createElement(ExternalLink, { href, ...props }, href);
+
+    await render(React.createElement('div', null,
+        a('https://docs.example/', { id: 'docs', rel: 'external' }),
+        a('mailto:sales@example.com', { id: 'sales' }),
+        React.createElement(LinkOptionsProvider, { excludePatterns: [window.eval('/partner\\.example/')] },
+            a('https://partner.example/', { id: 'partner' }),
+            a('https://docs.example/guide', { id: 'guide', linkOptions: { defaultAction: 'same-tab' } })
+        )
+    ));
+
+    const attributes = id => {
+        const element = window.document.getElementById(id);
+        return { target: element.getAttribute('target'), rel: element.getAttribute('rel') };
+    };
+    assert.deepStrictEqual(attributes('docs'), { target: '_blank', rel: 'external noopener noreferrer' });
+    assert.deepStrictEqual(attributes('sales'), { target: null, rel: null });
+    assert.deepStrictEqual(attributes('partner'), { target: null, rel: null });
+    assert.deepStrictEqual(attributes('guide'), { target: null, rel: null });
+    window.close();
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RestJobSource, JobSourceError } = require('../job-board.js');
+
+// A server that never answers, until the request is aborted
+function hangingFetch(url, { signal }) {
+    return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+    });
+}
+
+test('a change that gets no answer times out as a retryable failure, and is sent once', async () => {
+    let calls = 0;
+    const source = new RestJobSource({
+        timeout: 20,
+        fetch: (...args) => {
+            calls++;
+            return hangingFetch(...args);
+        }
+    });
+
+    await assert.rejects(source.create({ title: 'Data Engineer' }), error => {
+        assert.ok(error instanceof JobSourceError);
+        assert.strictEqual(error.message, 'The request timed out');
+        assert.strictEqual(error.retryable, true);
+        return true;
+    });
+    assert.strictEqual(calls, 1);
+});
+
+test('an error response whose body is null or not an object still fails with the status', async () => {
+    for (const body of ['null', '"Bad Gateway"', '42', '']) {
+        const source = new RestJobSource({
+            fetch: async () => new Response(body, { status: 502, headers: { 'Content-Type': 'application/json' } })
+        });
+
+        await assert.rejects(source.update(7, { title: 'Data Engineer' }), error => {
+            assert.ok(error instanceof JobSourceError, `body ${JSON.stringify(body)}: ${error}`);
+            assert.strictEqual(error.message, 'The jobs API answered 502');
+            assert.strictEqual(error.status, 502);
+            assert.strictEqual(error.errors, null);
+            return true;
+        });
+    }
+});
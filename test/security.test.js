@@ -0,0 +1,127 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers.js');
+const { transformHtml, LinkSecurityGuard } = require('../index.js');
+
+const SECURE_REWRITE = {
+    security: { mixedContent: 'upgrade' },
+    urlRewrite: { strip: true },
+    metaConfig: false
+};
+
+test('an upgraded http: link stays https: when urlRewrite strips its parameters', () => {
+    const window = loadPage('<a id="partner" href="http://partner.example/jobs?utm_source=x&id=7">Partner</a>');
+    window.console.log = () => {};
+    const modifier = new (window.eval('LinkModifier'))(SECURE_REWRITE);
+    modifier.modifyAllLinks();
+    const link = window.document.getElementById('partner');
+
+    assert.strictEqual(link.getAttribute('href'), 'https://partner.example/jobs?id=7');
+    assert.strictEqual(link.getAttribute('target'), '_blank');
+    modifier.destroy();
+});
+
+test('transformHtml upgrades and rewrites the same link in one pass', () => {
+    const output = transformHtml('<a href="http://partner.example/jobs?utm_source=x&amp;id=7">Partner</a>', {
+        ...SECURE_REWRITE,
+        baseUrl: 'https://site.test/'
+    });
+
+    assert.match(output, /href="https:\/\/partner\.example\/jobs\?id=7"/);
+    assert.match(output, /target="_blank"/);
+});
+
+// The links of body after a LinkModifier with these security options ran, and the threats it reported
+function secure(body, security, { url = 'https://site.test/' } = {}) {
+    const window = loadPage(body, { url });
+    window.console.log = () => {};
+    const threats = [];
+    const modifier = new (window.eval('LinkModifier'))({
+        security: { ...security, onThreat: threat => threats.push(threat) },
+        metaConfig: false
+    });
+    modifier.modifyAllLinks();
+    modifier.destroy();
+
+    const link = id => {
+        const element = window.document.getElementById(id);
+        return {
+            href: element.getAttribute('href'),
+            target: element.getAttribute('target'),
+            blocked: element.getAttribute('data-link-blocked')
+        };
+    };
+    return { link, threats };
+}
+
+test('javascript:, vbscript: and data: links are disarmed, however they are spelled', () => {
+    const { link, threats } = secure(`
+        <a id="js" href="javascript:alert(1)">Run</a>
+        <a id="spaced" href=" JAVA&#9;script:alert(1)">Run</a>
+        <a id="vb" href="vbscript:msgbox(1)">Run</a>
+        <a id="data" href="data:text/html,<script>alert(1)</script>">Run</a>
+        <a id="news" href="https://news.example/">News</a>
+    `, {});
+
+    ['js', 'spaced', 'vb', 'data'].forEach(id => {
+        assert.deepStrictEqual(link(id), { href: null, target: null, blocked: 'dangerous-scheme' }, id);
+    });
+    assert.deepStrictEqual(link('news'), { href: 'https://news.example/', target: '_blank', blocked: null });
+    assert.deepStrictEqual(threats.map(threat => threat.type), Array(4).fill('dangerous-scheme'));
+});
+
+test('http: links from an https: page are blocked, upgraded or only reported', () => {
+    const body = '<a id="plain" href="http://partner.example/jobs">Jobs</a>';
+
+    assert.deepStrictEqual(secure(body, {}).link('plain'), { href: null, target: null, blocked: 'mixed-content' });
+    assert.deepStrictEqual(secure(body, { mixedContent: 'upgrade' }).link('plain'),
+        { href: 'https://partner.example/jobs', target: '_blank', blocked: null });
+
+    const reported = secure(body, { mixedContent: 'report' });
+    assert.deepStrictEqual(reported.link('plain'), { href: 'http://partner.example/jobs', target: '_blank', blocked: null });
+    assert.deepStrictEqual(reported.threats.map(threat => [threat.type, threat.action]), [['mixed-content', 'report']]);
+
+    // Nothing is mixed on an http: page
+    const insecurePage = secure(body, {}, { url: 'http://site.test/' });
+    assert.strictEqual(insecurePage.link('plain').target, '_blank');
+    assert.deepStrictEqual(insecurePage.threats, []);
+});
+
+test('hosts imitating a trusted domain are blocked and reported with their decoded name', () => {
+    // "pаypal" with a Cyrillic а
+    const punycodeHost = new URL('https://p\u0430ypal.com/').hostname;
+    const { link, threats } = secure(`
+        <a id="idn" href="https://${punycodeHost}/login">Pay</a>
+        <a id="digit" href="https://paypa1.com/login">Pay</a>
+        <a id="real" href="https://www.paypal.com/">Pay</a>
+        <a id="other" href="https://example.org/">Other</a>
+    `, { trustedDomains: ['paypal.com'] });
+
+    assert.strictEqual(punycodeHost, 'xn--pypal-4ve.com');
+    assert.strictEqual(link('idn').blocked, 'lookalike-domain');
+    assert.strictEqual(link('digit').blocked, 'lookalike-domain');
+    assert.strictEqual(link('real').target, '_blank');
+    assert.strictEqual(link('other').target, '_blank');
+    assert.deepStrictEqual(threats.map(({ type, host, imitates }) => ({ type, host, imitates })), [
+        { type: 'lookalike-domain', host: 'p\u0430ypal.com', imitates: 'paypal.com' },
+        { type: 'lookalike-domain', host: 'paypa1.com', imitates: 'paypal.com' }
+    ]);
+});
+
+test('lookalikes: report leaves the link working and still calls onThreat', () => {
+    const { link, threats } = secure('<a id="digit" href="https://paypa1.com/">Pay</a>',
+        { trustedDomains: ['paypal.com'], lookalikes: 'report' });
+
+    assert.strictEqual(link('digit').target, '_blank');
+    assert.strictEqual(threats.length, 1);
+    assert.strictEqual(threats[0].action, 'report');
+    assert.strictEqual(threats[0].href, 'https://paypa1.com/');
+});
+
+test('the guard works on hrefs the URL parser refuses', () => {
+    const guard = new LinkSecurityGuard();
+    assert.strictEqual(LinkSecurityGuard.getScheme('\u0000 jaVAscript:void(0)', null), 'javascript:');
+    assert.deepStrictEqual(guard.inspect({ link: null, href: 'not a url', url: null }, 'https://site.test/'), []);
+});
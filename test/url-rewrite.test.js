@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers.js');
+
+// Runs LinkModifier with the given urlRewrite options, returns each link's href by id
+function rewrite(body, urlRewrite) {
+    const window = loadPage(body);
+    const LinkModifier = window.eval('LinkModifier');
+    new LinkModifier({ metaConfig: false, autoInit: false, urlRewrite }).modifyAllLinks();
+
+    const hrefs = {};
+    window.document.querySelectorAll('a[id]').forEach(link => {
+        hrefs[link.id] = link.getAttribute('href');
+    });
+    window.close();
+    return hrefs;
+}
+
+test('tracking parameters are stripped from every host, or only the ones listed', () => {
+    const body = `
+        <a id="news" href="https://news.example/story?id=4&utm_source=feed&UTM_Medium=rss&fbclid=abc#top">News</a>
+        <a id="shop" href="https://shop.example/item?ref=mail&sku=9&gclid=1">Shop</a>
+        <a id="clean" href="https://clean.example/?page=2">Clean</a>
+        <a id="local" href="/about?utm_source=nav">About</a>
+    `;
+
+    assert.deepStrictEqual(rewrite(body, { strip: true }), {
+        news: 'https://news.example/story?id=4#top',
+        shop: 'https://shop.example/item?ref=mail&sku=9',
+        clean: 'https://clean.example/?page=2',
+        local: '/about?utm_source=nav'
+    });
+
+    // Own parameter lists per host, other hosts keep theirs
+    assert.deepStrictEqual(rewrite(body, { strip: [{ host: 'shop.example', params: ['ref', 'gclid'] }] }), {
+        news: 'https://news.example/story?id=4&utm_source=feed&UTM_Medium=rss&fbclid=abc#top',
+        shop: 'https://shop.example/item?sku=9',
+        clean: 'https://clean.example/?page=2',
+        local: '/about?utm_source=nav'
+    });
+});
+
+test('partner hosts are decorated instead of stripped, keeping their own values unless told to overwrite', () => {
+    const body = `
+        <a id="partner" href="https://www.partner.example/deal?utm_source=them">Deal</a>
+        <a id="tagged" href="https://go.partner.example/?ref=them">Tagged</a>
+        <a id="other" href="https://other.example/?utm_source=them">Other</a>
+    `;
+    const decorate = overwrite => [{ host: '*.partner.example', params: { ref: 'oursite', utm_source: 'oursite' }, overwrite }];
+
+    assert.deepStrictEqual(rewrite(body, { strip: true, decorate: decorate(false) }), {
+        partner: 'https://www.partner.example/deal?utm_source=them&ref=oursite',
+        tagged: 'https://go.partner.example/?ref=them&utm_source=oursite',
+        other: 'https://other.example/'
+    });
+
+    assert.deepStrictEqual(rewrite(body, { decorate: decorate(true) }), {
+        partner: 'https://www.partner.example/deal?utm_source=oursite&ref=oursite',
+        tagged: 'https://go.partner.example/?ref=oursite&utm_source=oursite',
+        other: 'https://other.example/?utm_source=them'
+    });
+});
+
+test('LinkUrlRewriter leaves skipped and blocked links alone', () => {
+    const window = loadPage('');
+    const LinkUrlRewriter = window.eval('LinkUrlRewriter');
+    const rewriter = new LinkUrlRewriter({ strip: true });
+    const decision = (action, href) => ({ action, external: true, url: new window.URL(href) });
+
+    assert.strictEqual(rewriter.rewrite(decision('new-tab', 'https://a.example/?utm_id=1')), 'https://a.example/');
+    assert.strictEqual(rewriter.rewrite(decision('new-tab', 'https://a.example/?id=1')), null);
+    assert.strictEqual(rewriter.rewrite(decision('skip', 'https://a.example/?utm_id=1')), null);
+    assert.strictEqual(rewriter.rewrite(decision('block', 'https://a.example/?utm_id=1')), null);
+    window.close();
+});